@@ -0,0 +1,72 @@
+/**
+ * Apply Alternative Critical Damage
+ * Applies alt-crit rolls through the actor's own damage pipeline so
+ * resistances, weaknesses and immunities (including precision immunity) are
+ * respected. PF2e's damage application also creates the persistent damage
+ * conditions of persistent instances, so the module does not add its own.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { log } from "./logger.js";
+
+/**
+ * Get the tokens damage should be applied to: targets first, then selection
+ */
+function getSelectedTokens() {
+  const targets = [...game.user.targets];
+  return targets.length > 0 ? targets : canvas.tokens.controlled;
+}
+
+/**
+ * Apply one roll to one token
+ */
+async function applyRollToToken(roll, tokenDocument) {
+  const actor = tokenDocument?.actor;
+  if (!actor) return;
+
+  if (!actor.isOwner) {
+    ui.notifications.warn(game.i18n.format("ALTCRIT.Notifications.NoPermission", { name: tokenDocument.name }));
+    return;
+  }
+
+  await actor.applyDamage({ damage: roll, token: tokenDocument, skipIWR: false });
+}
+
+/**
+ * Apply the rolls of an alt-crit chat message
+ * Combined multi-target cards apply each roll only to the target it was rolled
+ * for, never to the selection; other cards apply their roll to the targeted or
+ * selected tokens
+ */
+export async function applyAlternativeCriticalDamage(message) {
+  try {
+    const rollTargets = message.flags?.[MODULE_ID]?.rollTargets;
+
+    if (Array.isArray(rollTargets)) {
+      for (const [index, roll] of message.rolls.entries()) {
+        const tokenDocument = rollTargets[index] ? await fromUuid(rollTargets[index]) : null;
+        if (!tokenDocument) {
+          ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.TargetMissing"));
+          continue;
+        }
+        await applyRollToToken(roll, tokenDocument);
+      }
+      return;
+    }
+
+    const tokens = getSelectedTokens();
+    if (tokens.length === 0) {
+      ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.NoTokens"));
+      return;
+    }
+
+    for (const token of tokens) {
+      for (const roll of message.rolls) {
+        await applyRollToToken(roll, token.document);
+      }
+    }
+  } catch (error) {
+    log.error("Error applying damage:", error);
+    ui.notifications.error(game.i18n.localize("ALTCRIT.Notifications.ApplyFailed"));
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Damage Capture Cache
+ * Remembers the PF2e damage structure of every damage roll, keyed by actor,
+ * item and the attack message the damage was rolled from. The cache is rebuilt
+ * from the chat log on ready, so captured data survives page reloads.
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { log } from "./logger.js";
+
+const ATTACK_ROLL_TYPES = ["attack-roll", "spell-attack-roll"];
+
+// Captured entries keyed by `${actorUuid}.${itemId}.${attackMessageId}`
+const damageCaptureCache = new Map();
+
+/**
+ * Build the cache key for a strike
+ */
+function captureKey(actorUuid, itemId, attackMessageId) {
+  return `${actorUuid}.${itemId}.${attackMessageId ?? "none"}`;
+}
+
+/**
+ * Check whether a chat message is an attack roll
+ */
+export function isAttackMessage(message) {
+  return ATTACK_ROLL_TYPES.includes(message?.flags?.pf2e?.context?.type);
+}
+
+/**
+ * Find the attack message a damage message was rolled from
+ * This is the latest attack by the same actor and item posted before the damage
+ */
+export function findOriginAttackMessage(damageMessage) {
+  const actorUuid = damageMessage.actor?.uuid;
+  const itemId = damageMessage.item?.id;
+  if (!actorUuid || !itemId) return null;
+
+  const messages = game.messages.contents;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.id === damageMessage.id) continue;
+    if (message.timestamp > damageMessage.timestamp) continue;
+    if (
+      isAttackMessage(message) &&
+      message.actor?.uuid === actorUuid &&
+      message.item?.id === itemId
+    ) {
+      return message;
+    }
+  }
+  return null;
+}
+
+/**
+ * Capture the damage structure of a PF2e damage roll message
+ * Pass the attack message (or null for none) when it is already known, e.g.
+ * while rebuilding
+ * Returns the cache entry, or null if the message is not a damage roll
+ */
+export function captureDamageMessage(message, attackMessage = undefined) {
+  const roll = message.rolls?.[0];
+  if (roll?.constructor.name !== "DamageRoll") return null;
+
+  const damageData = roll.options?.damage?.damage;
+  const actorUuid = message.actor?.uuid;
+  const itemId = message.item?.id;
+  if (!damageData || !actorUuid || !itemId) return null;
+
+  if (attackMessage === undefined) attackMessage = findOriginAttackMessage(message);
+  const entry = {
+    actorUuid,
+    itemId,
+    attackMessageId: attackMessage?.id ?? null,
+    damageMessageId: message.id,
+    damageData,
+    roll,
+    timestamp: message.timestamp ?? Date.now(),
+  };
+
+  // Keep only the most recent damage roll for each strike
+  const key = captureKey(actorUuid, itemId, entry.attackMessageId);
+  const existing = damageCaptureCache.get(key);
+  if (!existing || existing.timestamp <= entry.timestamp) {
+    damageCaptureCache.set(key, entry);
+  }
+
+  return entry;
+}
+
+/**
+ * Check whether a cache entry is still within the configured lifetime
+ */
+function isFresh(entry) {
+  const lifetimeMinutes = game.settings.get(MODULE_ID, "captureLifetime");
+  if (!lifetimeMinutes) return true;
+  return Date.now() - entry.timestamp < lifetimeMinutes * 60 * 1000;
+}
+
+/**
+ * Get captured damage for an attack message
+ * With an attack message, only damage rolled from that exact attack counts;
+ * without one, the most recent damage roll for the same actor and item
+ */
+export function getCapturedDamage(attackMessage, actor, item) {
+  const actorUuid = actor?.uuid;
+  const itemId = item?.id;
+  if (!actorUuid || !itemId) return null;
+
+  if (attackMessage) {
+    const exact = damageCaptureCache.get(captureKey(actorUuid, itemId, attackMessage.id));
+    return exact && isFresh(exact) ? exact : null;
+  }
+
+  let latest = null;
+  for (const entry of damageCaptureCache.values()) {
+    if (entry.actorUuid !== actorUuid || entry.itemId !== itemId) continue;
+    if (!latest || entry.timestamp > latest.timestamp) latest = entry;
+  }
+  return latest && isFresh(latest) ? latest : null;
+}
+
+/**
+ * Rebuild the cache from the chat log
+ * One pass in chat order, remembering the latest attack of each actor and item
+ */
+export function rebuildDamageCaptureCache() {
+  damageCaptureCache.clear();
+  const latestAttacks = new Map();
+  for (const message of game.messages.contents) {
+    const strikeKey = `${message.actor?.uuid}.${message.item?.id}`;
+    if (isAttackMessage(message)) {
+      latestAttacks.set(strikeKey, message);
+      continue;
+    }
+    captureDamageMessage(message, latestAttacks.get(strikeKey) ?? null);
+  }
+  log.debug(`Rebuilt damage capture cache with ${damageCaptureCache.size} entries`);
+}
+
+/**
+ * Forget captured damage when its chat message is deleted
+ */
+export function forgetDamageMessage(message) {
+  for (const [key, entry] of damageCaptureCache) {
+    if (entry.damageMessageId === message.id || entry.attackMessageId === message.id) {
+      damageCaptureCache.delete(key);
+    }
+  }
+}
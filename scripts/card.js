@@ -0,0 +1,127 @@
+/**
+ * Alternative Critical Chat Card
+ * Renders the alt-crit card content: each damage component with its source,
+ * the rolled and fixed (maximized or static) parts, the total, and how the
+ * same components compare with a standard doubled crit. The card also lists
+ * how the world setting and any actor or item overrides chose the rule.
+ */
+
+import { renderTemplate } from "./compat.js";
+import { MODULE_ID } from "./constants.js";
+import { componentTerm } from "./formula.js";
+import { describeResolution } from "./overrides.js";
+import { componentsDistribution, standardCritDistribution, summarize } from "./stats.js";
+
+// Sources with their own localized label
+const LABELLED_SOURCES = new Set(["striking", "deadly", "fatal", "persistent", "splash", "bonus", "modifier", "dice"]);
+
+/**
+ * Get the display label of a component
+ */
+function getComponentLabel(component, item) {
+  if (component.label) return component.label;
+  if (component.source === "base") {
+    return game.i18n.localize(item?.type === "spell" ? "ALTCRIT.Sources.SpellDamage" : "ALTCRIT.Sources.WeaponDice");
+  }
+  return LABELLED_SOURCES.has(component.source)
+    ? game.i18n.localize(`ALTCRIT.Sources.${component.source}`)
+    : component.source;
+}
+
+/**
+ * Split a component term into its rolled dice and its fixed value
+ * Returns { rolled, fixed } for `2d6+12+8` → { rolled: "2d6", fixed: 20 }
+ */
+export function splitComponentTerm(term) {
+  const rolled = [];
+  let fixed = 0;
+  let depth = 0;
+  let start = 0;
+
+  const take = (end) => {
+    const part = term.slice(start, end);
+    if (/^[+-]?\d+$/.test(part)) fixed += Number(part);
+    else if (part) rolled.push(part);
+  };
+
+  for (let i = 0; i < term.length; i++) {
+    if (term[i] === "(") depth++;
+    else if (term[i] === ")") depth--;
+    else if ((term[i] === "+" || term[i] === "-") && depth === 0 && i > 0) {
+      take(i);
+      start = term[i] === "+" ? i + 1 : i;
+    }
+  }
+  take(term.length);
+
+  return { rolled: rolled.join("+").replace(/\+-/g, "-"), fixed };
+}
+
+/**
+ * Describe each component for the breakdown table
+ * options are passed to the serializer (strategy, doubleStatic)
+ */
+export function describeComponents(components, isCriticalHit, item = null, options = {}) {
+  return components.flatMap((component) => {
+    const term = componentTerm(component, isCriticalHit, options);
+    if (!term) return [];
+
+    const { rolled, fixed } = splitComponentTerm(term);
+    return [
+      {
+        label: getComponentLabel(component, item),
+        rolled: rolled || "—",
+        fixed: fixed || "—",
+        damageType: component.damageType,
+        category: component.category,
+      },
+    ];
+  });
+}
+
+/**
+ * Format a distribution summary for the card
+ */
+function formatSummary(dist) {
+  if (!dist) return null;
+  const { mean, min, max } = summarize(dist);
+  return { mean: mean.toFixed(1), min, max, rawMean: mean };
+}
+
+/**
+ * Compare the alternative critical with a standard crit for the same components
+ * Returns null when a formula cannot be analysed (e.g. a custom crit strategy)
+ */
+export function compareWithStandardCrit(components, options = {}) {
+  const alternative = formatSummary(componentsDistribution(components, true, options));
+  const standard = formatSummary(standardCritDistribution(components));
+  if (!alternative || !standard) return null;
+
+  const difference = alternative.rawMean - standard.rawMean;
+  return {
+    alternative,
+    standard,
+    difference: `${difference >= 0 ? "+" : ""}${difference.toFixed(1)}`,
+  };
+}
+
+/**
+ * Render the card content for an alternative critical result
+ */
+export async function renderAlternativeCriticalCard({
+  item = null,
+  isCriticalHit,
+  components,
+  rolls,
+  strategy,
+  overrides = null,
+}) {
+  const rollsHTML = (await Promise.all(rolls.map((roll) => roll.render()))).join("");
+  return renderTemplate(`modules/${MODULE_ID}/templates/alt-crit-card.hbs`, {
+    components: describeComponents(components, isCriticalHit, item, { strategy }),
+    total: rolls.reduce((sum, roll) => sum + roll.total, 0),
+    comparison: isCriticalHit ? compareWithStandardCrit(components, { strategy }) : null,
+    resolution: overrides ? describeResolution(overrides) : [],
+    rollsHTML,
+  });
+}
@@ -0,0 +1,96 @@
+/**
+ * Foundry Version Compatibility
+ * v13 renders chat messages into HTMLElements through `renderChatMessageHTML`
+ * and replaced message types with message styles. Older versions pass jQuery
+ * to `renderChatMessage` and only know `CONST.CHAT_MESSAGE_TYPES`. The rest of
+ * the module works with elements and goes through here for the differences.
+ * The module's windows use ApplicationV2, which v11 does not have; there the
+ * chat buttons keep working and the windows are unavailable.
+ */
+
+/**
+ * Get the Foundry major version, e.g. 13
+ */
+export function getFoundryGeneration() {
+  return game.release?.generation ?? (Number.parseInt(game.version, 10) || 12);
+}
+
+/**
+ * Get the HTMLElement behind a hook or application argument
+ * Older versions pass jQuery collections where v13 passes elements
+ */
+export function toElement(html) {
+  return html?.jquery ? html[0] : html ?? null;
+}
+
+/**
+ * Register a chat message render hook that always receives an HTMLElement
+ * Must be called once the game version is known, i.e. in or after init
+ */
+export function onRenderChatMessage(callback) {
+  if (getFoundryGeneration() >= 13) {
+    return Hooks.on("renderChatMessageHTML", (message, html, context) => callback(message, html, context));
+  }
+  return Hooks.on("renderChatMessage", (message, html, context) => callback(message, toElement(html), context));
+}
+
+/**
+ * Get the chat message data that marks a message as a roll
+ * v12 added message styles; v11 only has message types
+ */
+export function getRollMessageData() {
+  if (CONST.CHAT_MESSAGE_STYLES) return { style: CONST.CHAT_MESSAGE_STYLES.OTHER };
+  return { type: CONST.CHAT_MESSAGE_TYPES.ROLL };
+}
+
+/**
+ * Get the dice term classes; v12 moved them into foundry.dice.terms
+ */
+export function getDiceTermClasses() {
+  return foundry.dice?.terms ?? { DiceTerm, NumericTerm, OperatorTerm };
+}
+
+/**
+ * Render a Handlebars template
+ * v13 moved renderTemplate into foundry.applications.handlebars and deprecated the global
+ */
+export function renderTemplate(path, data) {
+  const render = foundry.applications?.handlebars?.renderTemplate ?? globalThis.renderTemplate;
+  return render(path, data);
+}
+
+/**
+ * Create an element from an HTML string
+ */
+export function createElement(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html.trim();
+  return template.content.firstElementChild;
+}
+
+/**
+ * Check whether the module's windows can open (ApplicationV2, v12 and later)
+ */
+export function hasApplicationV2() {
+  return !!foundry.applications?.api?.ApplicationV2;
+}
+
+/**
+ * Get the base class of the module's windows
+ * On v11 a placeholder keeps the window classes declarable at import
+ */
+export function getApplicationBase() {
+  if (!hasApplicationV2()) return class {};
+  const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+  return HandlebarsApplicationMixin(ApplicationV2);
+}
+
+/**
+ * Warn that a window needs v12 when it cannot open
+ * Returns true when the window can open
+ */
+export function requireApplicationV2() {
+  if (hasApplicationV2()) return true;
+  ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.RequiresV12"));
+  return false;
+}
@@ -0,0 +1,68 @@
+/**
+ * Component Rules Settings Menu
+ * The GM's form for choosing how each damage category behaves on a crit.
+ * Saved as the `componentRules` world setting read by component-rules.js.
+ */
+
+import { getApplicationBase } from "./compat.js";
+import { COMPONENT_CATEGORIES, CRIT_BEHAVIOURS, DEFAULT_COMPONENT_RULES, getComponentRules } from "./component-rules.js";
+import { MODULE_ID } from "./constants.js";
+import { log } from "./logger.js";
+
+export class ComponentRulesConfig extends getApplicationBase() {
+  static DEFAULT_OPTIONS = {
+    id: "alternative-crit-component-rules",
+    tag: "form",
+    classes: ["alternative-crit-component-rules"],
+    window: {
+      title: "ALTCRIT.ComponentRules.Title",
+      icon: "fas fa-sliders-h",
+    },
+    position: { width: 480, height: "auto" },
+    form: {
+      handler: ComponentRulesConfig.#onSubmit,
+      closeOnSubmit: true,
+    },
+    actions: {
+      reset: ComponentRulesConfig.#onReset,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/component-rules.hbs` },
+  };
+
+  async _prepareContext(options) {
+    const rules = getComponentRules();
+    return {
+      categories: Object.entries(COMPONENT_CATEGORIES).map(([key, label]) => ({
+        key,
+        label,
+        value: rules[key],
+      })),
+      behaviourOptions: CRIT_BEHAVIOURS,
+    };
+  }
+
+  /**
+   * Save the chosen behaviours, ignoring unknown values
+   */
+  static async #onSubmit(event, form, formData) {
+    const rules = {};
+    for (const key of Object.keys(COMPONENT_CATEGORIES)) {
+      const value = formData.object[key];
+      rules[key] = value in CRIT_BEHAVIOURS ? value : DEFAULT_COMPONENT_RULES[key];
+    }
+
+    await game.settings.set("alternative-crit-damage", "componentRules", rules);
+    log.debug("Saved component rules:", rules);
+  }
+
+  /**
+   * Restore the default behaviour of every category
+   */
+  static async #onReset() {
+    await game.settings.set("alternative-crit-damage", "componentRules", { ...DEFAULT_COMPONENT_RULES });
+    this.render();
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Per-Category Crit Behaviour
+ * Tables differ on how striking dice, deadly and fatal dice, other crit-only
+ * dice, precision, persistent and splash damage behave on a crit. The GM picks a behaviour per category in
+ * the settings menu; the serializer asks here for every component.
+ */
+
+// Categories and behaviours with their localization keys
+export const COMPONENT_CATEGORIES = {
+  striking: "ALTCRIT.ComponentRules.Categories.striking",
+  deadly: "ALTCRIT.ComponentRules.Categories.deadly",
+  fatal: "ALTCRIT.ComponentRules.Categories.fatal",
+  critOnly: "ALTCRIT.ComponentRules.Categories.critOnly",
+  precision: "ALTCRIT.ComponentRules.Categories.precision",
+  persistent: "ALTCRIT.ComponentRules.Categories.persistent",
+  splash: "ALTCRIT.ComponentRules.Categories.splash",
+};
+
+export const CRIT_BEHAVIOURS = {
+  strategy: "ALTCRIT.ComponentRules.Behaviours.strategy",
+  maximize: "ALTCRIT.ComponentRules.Behaviours.maximize",
+  double: "ALTCRIT.ComponentRules.Behaviours.double",
+  normal: "ALTCRIT.ComponentRules.Behaviours.normal",
+};
+
+export const DEFAULT_COMPONENT_RULES = {
+  striking: "strategy",
+  deadly: "strategy",
+  fatal: "strategy",
+  critOnly: "strategy",
+  precision: "strategy",
+  persistent: "strategy",
+  splash: "normal",
+};
+
+/**
+ * Get the configured behaviour for every category
+ */
+export function getComponentRules() {
+  let rules = {};
+  try {
+    rules = game.settings.get("alternative-crit-damage", "componentRules") ?? {};
+  } catch (error) {
+    // Setting not registered yet (e.g. called before init)
+  }
+  return { ...DEFAULT_COMPONENT_RULES, ...rules };
+}
+
+/**
+ * Get the rule category of a damage component, or null if no category applies
+ * Damage categories win over the component's source, so rune crit riders that
+ * deal persistent damage are persistent; other crit-only dice are critOnly
+ */
+export function getComponentCategory(component) {
+  if (component.category === "persistent") return "persistent";
+  if (component.category === "splash") return "splash";
+  if (component.category === "precision") return "precision";
+  if (component.source?.startsWith("deadly")) return "deadly";
+  if (component.source?.startsWith("fatal")) return "fatal";
+  if (component.critical === "extra") return "critOnly";
+  if (component.source === "striking") return "striking";
+  return null;
+}
+
+/**
+ * Get how a component behaves on a crit
+ * Returns one of the CRIT_BEHAVIOURS keys
+ */
+export function getComponentBehaviour(component, rules = getComponentRules()) {
+  const category = getComponentCategory(component);
+  return (category && rules[category]) || "strategy";
+}
@@ -0,0 +1,7 @@
+/**
+ * Shared module constants
+ */
+
+export const MODULE_ID = "alternative-crit-damage";
+
+export const MODULE_VERSION = "v1.1.8";
@@ -0,0 +1,403 @@
+/**
+ * Custom Crit Application
+ * The manual dice-row builder from `custom-crit-macro`, built into the module.
+ * Crit rows follow the active crit strategy, regular rows are rolled normally.
+ * Opened from an alt-crit card it is pre-filled with the captured damage
+ * components, so the GM can add or change rows and roll again.
+ */
+
+import { getCapturedDamage } from "./capture.js";
+import { getApplicationBase, getRollMessageData, requireApplicationV2 } from "./compat.js";
+import { getComponentBehaviour, getComponentRules } from "./component-rules.js";
+import { resolveOverrides } from "./overrides.js";
+import { evaluateCritRoll } from "./strategies.js";
+import { MODULE_ID } from "./constants.js";
+import {
+  createDamageComponent,
+  describeOnceRolls,
+  rollOnceComponents,
+  serializeDamageInstances,
+} from "./formula.js";
+import { applyLockedDiceAppearance, isLockedDiceEnabled } from "./locked-dice.js";
+import { log } from "./logger.js";
+import { parseItemDamage } from "./parsers.js";
+import { parseDamageData } from "./weapons.js";
+
+const DIE_SIZES = [4, 6, 8, 10, 12];
+const DAMAGE_CATEGORIES = ["", "persistent", "precision", "splash"];
+const ABILITIES = {
+  str: "ALTCRIT.Abilities.str",
+  dex: "ALTCRIT.Abilities.dex",
+  con: "ALTCRIT.Abilities.con",
+  int: "ALTCRIT.Abilities.int",
+  wis: "ALTCRIT.Abilities.wis",
+  cha: "ALTCRIT.Abilities.cha",
+};
+
+/**
+ * Get the weapons and damaging spells an actor can roll custom crits for
+ * Weapons must be held or worn; spells are sorted by rank, highest first
+ */
+function getDamagingItems(actor) {
+  const weapons = [];
+  const spells = [];
+  for (const item of actor.items) {
+    if (item.type === "weapon") {
+      const carry = item.system.equipped?.carryType;
+      if (carry === "held" || carry === "worn") weapons.push(item);
+    } else if (item.type === "spell") {
+      const damage = item.system.damage;
+      if (damage && typeof damage === "object" && Object.keys(damage).length > 0) spells.push(item);
+    }
+  }
+
+  weapons.sort((a, b) => a.name.localeCompare(b.name));
+  spells.sort((a, b) => {
+    const rankA = a.system.level?.value ?? 0;
+    const rankB = b.system.level?.value ?? 0;
+    return rankA === rankB ? a.name.localeCompare(b.name) : rankB - rankA;
+  });
+  return { weapons, spells };
+}
+
+/**
+ * Get the damage components to pre-fill for an item
+ * Captured damage includes every modifier, so the stat modifier is left off
+ * With the attack card, its own captured damage and a spell's cast rank are
+ * used; without one, the latest captured damage for the item
+ */
+function getItemComponents(item, actor, message = null) {
+  if (!item) return { components: [], includeStat: false };
+
+  const captured = item.type === "weapon" ? getCapturedDamage(message, actor, item) : null;
+  if (captured?.damageData) {
+    return { components: parseDamageData(captured.damageData, true, item), includeStat: false };
+  }
+  return {
+    components: parseItemDamage(item, true, { message }) ?? [],
+    includeStat: item.type === "weapon",
+  };
+}
+
+/**
+ * Turn damage components into dice rows
+ * Components the crit changes become crit rows, keeping their source so the
+ * category rules still apply; static modifiers are already doubled where the
+ * rule doubles them. Everything else is a regular row.
+ */
+function componentsToRows(components, strategy) {
+  const doubleStatic = strategy.doublesStatic(
+    game.settings.get("alternative-crit-damage", "doubleStatic"),
+  );
+  const rules = getComponentRules();
+
+  return components.map((component) => {
+    const crit = component.critical !== "none";
+    const behaviour = getComponentBehaviour(component, rules);
+    const doubled =
+      component.critical === "double" && doubleStatic && (behaviour === "strategy" || behaviour === "maximize");
+    return {
+      crit,
+      source: component.source || "base",
+      critical: component.critical,
+      num: component.diceNumber || 0,
+      die: component.dieSize || 6,
+      mod: (component.modifier || 0) * (doubled ? 2 : 1),
+      type: component.damageType || "untyped",
+      cat: component.category || "",
+    };
+  });
+}
+
+/**
+ * Turn a dice row into a damage component
+ * Crit rows follow the crit and category rules, regular rows are never changed by the crit
+ */
+function rowToComponent(row) {
+  return createDamageComponent({
+    source: row.source || "base",
+    diceNumber: row.num,
+    dieSize: row.die,
+    modifier: row.mod,
+    damageType: row.type,
+    category: row.cat,
+    critical: row.crit ? (row.critical === "extra" ? "extra" : "double") : "none",
+  });
+}
+
+export class CustomCritApp extends getApplicationBase() {
+  constructor({ actor, item = null, message = null, ...options } = {}) {
+    super(options);
+    this.actor = actor;
+    this.item = item;
+    this.rows = [];
+    this.stat = "str";
+    this.includeStat = false;
+    this.otherMods = "";
+    this.msg = "";
+    this.#loadItem(item, message);
+  }
+
+  static DEFAULT_OPTIONS = {
+    tag: "form",
+    classes: ["alternative-crit-custom"],
+    window: {
+      title: "ALTCRIT.CustomCrit.Title",
+      icon: "fas fa-dice-d20",
+      resizable: true,
+    },
+    position: { width: 640, height: "auto" },
+    form: {
+      handler: CustomCritApp.#onRoll,
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      addRow: CustomCritApp.#onAddRow,
+      removeRow: CustomCritApp.#onRemoveRow,
+      roll: CustomCritApp.#onRoll,
+      postMessage: CustomCritApp.#onPostMessage,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/custom-crit.hbs` },
+  };
+
+  get title() {
+    return game.i18n.format("ALTCRIT.CustomCrit.TitleActor", { name: this.actor.name });
+  }
+
+  /**
+   * The crit strategy for the actor and item, after their overrides
+   */
+  get strategy() {
+    return resolveOverrides(this.actor, this.item).strategy;
+  }
+
+  /**
+   * Replace the rows with an item's damage components
+   */
+  #loadItem(item, message = null) {
+    this.item = item;
+    const { components, includeStat } = getItemComponents(item, this.actor, message);
+    this.rows = componentsToRows(components, this.strategy);
+    this.includeStat = includeStat;
+    this.msg = item
+      ? game.i18n.format("ALTCRIT.CustomCrit.ItemMessage", { name: item.name.toUpperCase() })
+      : game.i18n.localize("ALTCRIT.CustomCrit.DefaultMessage");
+  }
+
+  /**
+   * Read the current form values back into the rows and options
+   */
+  #readForm() {
+    const form = this.element;
+    for (const rowElement of form.querySelectorAll(".custom-crit-row")) {
+      const row = this.rows[Number(rowElement.dataset.index)];
+      if (!row) continue;
+      row.num = parseInt(rowElement.querySelector("[name=num]").value) || 0;
+      row.die = parseInt(rowElement.querySelector("[name=die]").value) || 6;
+      row.mod = parseInt(rowElement.querySelector("[name=mod]").value) || 0;
+      row.type = rowElement.querySelector("[name=type]").value;
+      row.cat = rowElement.querySelector("[name=cat]").value;
+    }
+    this.stat = form.querySelector("[name=stat]").value;
+    this.includeStat = form.querySelector("[name=includeStat]").checked;
+    this.otherMods = form.querySelector("[name=otherMods]").value;
+    this.msg = form.querySelector("[name=msg]").value;
+  }
+
+  /**
+   * Build the damage components of the current rows
+   * The stat and additional modifiers ride on the first crit row
+   */
+  #buildComponents() {
+    const rows = this.rows.map((row) => ({ ...row }));
+    const extra =
+      (this.includeStat ? this.actor.system.abilities?.[this.stat]?.mod ?? 0 : 0) +
+      this.otherMods
+        .split(",")
+        .map((mod) => parseInt(mod.trim()))
+        .filter((mod) => !isNaN(mod))
+        .reduce((sum, mod) => sum + mod, 0);
+
+    if (extra) {
+      const target = rows.find((row) => row.crit) ?? rows[0];
+      if (target) target.mod += extra;
+    }
+
+    return rows.map(rowToComponent);
+  }
+
+  /**
+   * Serializer options for the rows
+   * Crit row modifiers are already doubled where the rule doubles them
+   */
+  #formulaOptions() {
+    return { strategy: this.strategy, doubleStatic: false, lockedDice: isLockedDiceEnabled() };
+  }
+
+  /**
+   * Build the damage instances of the current rows
+   */
+  #buildInstances(components = this.#buildComponents()) {
+    return serializeDamageInstances(components, true, this.#formulaOptions());
+  }
+
+  /**
+   * Build the full DamageRoll formula
+   */
+  #buildFormula(components = this.#buildComponents()) {
+    const instances = this.#buildInstances(components);
+    return instances.length > 0 ? `{${instances.join(",")}}` : "";
+  }
+
+  async _prepareContext(options) {
+    const { weapons, spells } = getDamagingItems(this.actor);
+    const damageTypes = Object.fromEntries(
+      Object.entries(CONFIG.PF2E?.damageTypes ?? {}).map(([key, label]) => [
+        key,
+        game.i18n.localize(label),
+      ]),
+    );
+    damageTypes.untyped ??= game.i18n.localize("ALTCRIT.CustomCrit.Untyped");
+
+    const rows = this.rows.map((row, index) => ({ ...row, index, die: String(row.die) }));
+    return {
+      itemId: this.item?.id ?? "",
+      weapons,
+      spells,
+      critRows: rows.filter((row) => row.crit),
+      regularRows: rows.filter((row) => !row.crit),
+      dieOptions: Object.fromEntries(DIE_SIZES.map((die) => [die, `d${die}`])),
+      typeOptions: damageTypes,
+      categoryOptions: Object.fromEntries(DAMAGE_CATEGORIES.map((cat) => [cat, cat || "—"])),
+      statOptions: ABILITIES,
+      stat: this.stat,
+      includeStat: this.includeStat,
+      otherMods: this.otherMods,
+      msg: this.msg,
+      formula: this.#buildFormula(),
+    };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+
+    // Keep the formula in sync without re-rendering, reload rows when the item changes
+    this.element.addEventListener("change", (event) => {
+      if (event.target.name === "itemId") {
+        this.#readForm();
+        this.#loadItem(this.actor.items.get(event.target.value) ?? null);
+        this.render();
+        return;
+      }
+      this.#readForm();
+      this.element.querySelector("[name=formula]").value = this.#buildFormula();
+    });
+  }
+
+  static #onAddRow(event, target) {
+    this.#readForm();
+    this.rows.push({
+      crit: target.dataset.crit === "true",
+      num: 1,
+      die: 6,
+      mod: 0,
+      type: this.rows[0]?.type ?? "untyped",
+      cat: "",
+    });
+    this.render();
+  }
+
+  static #onRemoveRow(event, target) {
+    this.#readForm();
+    this.rows.splice(Number(target.closest(".custom-crit-row").dataset.index), 1);
+    this.render();
+  }
+
+  /**
+   * Roll the formula and post it as an alt-crit card
+   * The window stays open so the GM can adjust rows and roll again
+   */
+  static async #onRoll() {
+    this.#readForm();
+    if (!this.#buildFormula()) {
+      ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.NoRows"));
+      return;
+    }
+
+    try {
+      const DamageRoll = CONFIG.Dice.rolls.find((r) => r.name === "DamageRoll");
+      const { strategy } = this;
+      const once = await rollOnceComponents(this.#buildComponents(), true, this.#formulaOptions());
+      const formula = this.#buildFormula(once.components);
+      const { roll, discarded } = await evaluateCritRoll(
+        () => new DamageRoll(formula, this.actor.getRollData()),
+        strategy,
+      );
+      applyLockedDiceAppearance(roll);
+
+      let flavorText = `<strong>${game.i18n.localize("ALTCRIT.Chat.CustomCrit")}</strong>`;
+      flavorText += `<br><em>${game.i18n.localize(strategy.hint)}</em>`;
+      if (discarded) {
+        const kept = game.i18n.format("ALTCRIT.Chat.KeptHigher", { kept: roll.total, discarded: discarded.total });
+        flavorText += `<br><em>${kept}</em>`;
+      }
+      if (once.rolls.length > 0) {
+        const rolledOnce = game.i18n.format("ALTCRIT.Chat.RolledOnce", { rolls: describeOnceRolls(once.rolls) });
+        flavorText += `<br><em>${rolledOnce}</em>`;
+      }
+      if (this.item) flavorText += `<br><strong>${this.item.name}</strong>`;
+      if (this.msg) flavorText += `<br>${this.msg}`;
+
+      await ChatMessage.create({
+        user: game.user.id,
+        ...getRollMessageData(),
+        rolls: [roll],
+        speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+        flavor: flavorText,
+        rollMode: game.settings.get("core", "rollMode"),
+        flags: {
+          [MODULE_ID]: { altCrit: true, isCriticalHit: true, custom: true, itemUuid: this.item?.uuid ?? null },
+        },
+      });
+    } catch (error) {
+      log.error("Error rolling custom crit:", error);
+      ui.notifications.error(game.i18n.localize("ALTCRIT.Notifications.InvalidFormula"));
+    }
+  }
+
+  /**
+   * Post the formula as an inline @Damage link, so it goes through the system's damage dialog
+   */
+  static async #onPostMessage() {
+    this.#readForm();
+    const instances = this.#buildInstances();
+    if (instances.length === 0) {
+      ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.NoRows"));
+      return;
+    }
+
+    await ChatMessage.create({
+      content: `@Damage[${instances.join(",")}]`,
+      flavor: this.msg,
+      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+    });
+  }
+}
+
+/**
+ * Open the Custom Crit window for an actor, pre-filled from an item when given
+ */
+export function openCustomCrit({ actor, item = null, message = null } = {}) {
+  if (!actor) {
+    ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.NoCustomCritActor"));
+    return null;
+  }
+  if (!requireApplicationV2()) return null;
+  const app = new CustomCritApp({ actor, item, message });
+  app.render(true);
+  return app;
+}
@@ -0,0 +1,190 @@
+/**
+ * Damage Analysis Application
+ * Compares an actor's Strikes under a standard crit and the alternative crit,
+ * using the same components the alt-crit formula is built from. Every number
+ * is exact (stats.js convolves the dice); nothing is sampled.
+ */
+
+import { getApplicationBase, requireApplicationV2 } from "./compat.js";
+import { MODULE_ID } from "./constants.js";
+import { log } from "./logger.js";
+import { resolveOverrides } from "./overrides.js";
+import { parseItemDamage } from "./parsers.js";
+import { analyzeStrike } from "./stats.js";
+import { getStrikeDamageData, parseDamageData } from "./weapons.js";
+
+const DEFAULT_AC = 20;
+
+/**
+ * Get the damage components of a Strike on a hit or a crit
+ * The strike's own damage preparation is used when available, so every
+ * modifier the system would roll is included
+ */
+async function getStrikeComponents(item, actor, isCriticalHit) {
+  const damageData = await getStrikeDamageData(item, actor, isCriticalHit);
+  if (damageData) return parseDamageData(damageData, isCriticalHit, item);
+  return parseItemDamage(item, isCriticalHit) ?? [];
+}
+
+/**
+ * Get the AC of the first targeted token, or a default
+ */
+function getTargetAC() {
+  const target = [...(game.user.targets ?? [])][0];
+  return target?.actor?.system?.attributes?.ac?.value ?? DEFAULT_AC;
+}
+
+/**
+ * Build chart columns for two distributions, as percentages
+ * Bar heights are relative to the most likely result of either distribution
+ */
+function buildChart(standard, alternative) {
+  const last = (dist) => dist.min + dist.probs.length - 1;
+  const min = Math.min(standard.min, alternative.min);
+  const max = Math.max(last(standard), last(alternative));
+  const chance = (dist, value) => dist.probs[value - dist.min] ?? 0;
+  const peak = Math.max(...standard.probs, ...alternative.probs);
+
+  const columns = [];
+  for (let value = min; value <= max; value++) {
+    const standardChance = chance(standard, value);
+    const alternativeChance = chance(alternative, value);
+    columns.push({
+      value,
+      standard: (standardChance * 100).toFixed(1),
+      alternative: (alternativeChance * 100).toFixed(1),
+      standardHeight: Math.round((standardChance / peak) * 100),
+      alternativeHeight: Math.round((alternativeChance / peak) * 100),
+    });
+  }
+  return columns;
+}
+
+/**
+ * Format a summary for display
+ */
+function formatSummary({ mean, min, max }) {
+  return { mean: mean.toFixed(1), min, max };
+}
+
+export class DamageAnalysisApp extends getApplicationBase() {
+  constructor({ actor, ...options } = {}) {
+    super(options);
+    this.actor = actor;
+    this.ac = getTargetAC();
+    this.strikes = null;
+  }
+
+  static DEFAULT_OPTIONS = {
+    tag: "form",
+    classes: ["alternative-crit-analysis"],
+    window: {
+      icon: "fas fa-chart-column",
+      resizable: true,
+    },
+    position: { width: 720, height: "auto" },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      refresh: DamageAnalysisApp.#onRefresh,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/damage-analysis.hbs` },
+  };
+
+  get title() {
+    return game.i18n.format("ALTCRIT.Analysis.Title", { name: this.actor.name });
+  }
+
+  /**
+   * Build the hit and crit components of every Strike the actor has
+   */
+  async #loadStrikes() {
+    this.strikes = [];
+    for (const strike of this.actor.system?.actions ?? []) {
+      const item = strike.item;
+      if (!item) continue;
+
+      try {
+        this.strikes.push({
+          item,
+          label: strike.label ?? item.name,
+          attackBonus: strike.totalModifier ?? null,
+          normal: await getStrikeComponents(item, this.actor, false),
+          critical: await getStrikeComponents(item, this.actor, true),
+        });
+      } catch (error) {
+        log.warn(`Could not analyse ${item.name}:`, error);
+      }
+    }
+  }
+
+  async _prepareContext(options) {
+    if (!this.strikes) await this.#loadStrikes();
+
+    const strikes = this.strikes.map(({ item, label, attackBonus, normal, critical }) => {
+      const { strategy } = resolveOverrides(this.actor, item);
+      const strategyName = game.i18n.localize(strategy.name);
+      const analysis = analyzeStrike({ normal, critical }, { attackBonus, ac: this.ac, strategy });
+      if (!analysis) return { label, strategy: strategyName, unsupported: true };
+
+      const { distributions, summaries, expected } = analysis;
+      return {
+        label,
+        strategy: strategyName,
+        attackBonus: attackBonus === null ? "—" : `${attackBonus >= 0 ? "+" : ""}${attackBonus}`,
+        hit: formatSummary(summaries.hit),
+        standard: formatSummary(summaries.standard),
+        alternative: formatSummary(summaries.alternative),
+        expected: expected && {
+          critChance: (expected.chances.criticalSuccess * 100).toFixed(0),
+          hitChance: (expected.chances.success * 100).toFixed(0),
+          standard: expected.standard.toFixed(2),
+          alternative: expected.alternative.toFixed(2),
+          difference: `${expected.alternative >= expected.standard ? "+" : ""}${(
+            expected.alternative - expected.standard
+          ).toFixed(2)}`,
+        },
+        chart: buildChart(distributions.standard, distributions.alternative),
+      };
+    });
+
+    return { ac: this.ac, strikes };
+  }
+
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+
+    // A new AC only changes the expected damage, the components stay loaded
+    this.element.addEventListener("change", (event) => {
+      if (event.target.name !== "ac") return;
+      this.ac = parseInt(event.target.value) || 0;
+      this.render();
+    });
+  }
+
+  /**
+   * Rebuild the Strikes, e.g. after changing runes or equipment
+   */
+  static async #onRefresh() {
+    this.strikes = null;
+    this.ac = getTargetAC();
+    this.render();
+  }
+}
+
+/**
+ * Open the damage analysis for an actor
+ */
+export function openDamageAnalysis(actor) {
+  if (!actor) {
+    ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.NoAnalysisActor"));
+    return null;
+  }
+  if (!requireApplicationV2()) return null;
+  return new DamageAnalysisApp({ actor }).render(true);
+}
@@ -0,0 +1,197 @@
+/**
+ * Diagnostic Reports
+ * Gathers what a bug report needs about one alt-crit roll: the item's damage
+ * data, the captured damage roll, the calculation path and the final formula.
+ * The report is shown as JSON in a window it can be copied from.
+ */
+
+import { getApplicationBase, requireApplicationV2 } from "./compat.js";
+import { MODULE_ID, MODULE_VERSION } from "./constants.js";
+
+// Module settings included in every report
+const REPORTED_SETTINGS = [
+  "enabled",
+  "doubleStatic",
+  "lockedDice",
+  "critStrategy",
+  "captureLifetime",
+  "basicSaveCrits",
+  "saveCrits",
+  "autoMode",
+  "rollPermission",
+  "componentRules",
+  "logLevel",
+];
+
+// Nesting depth after which data is cut off
+const MAX_DEPTH = 8;
+
+/**
+ * Convert a value into plain JSON data
+ * Documents become { uuid, name }, objects that contain themselves become
+ * "[Circular]", data nested deeper than MAX_DEPTH "[Truncated]", and
+ * functions are dropped
+ */
+export function toPlainData(value, depth = 0, ancestors = new WeakSet()) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "function") return undefined;
+  if (typeof value === "bigint") return String(value);
+  if (typeof value !== "object") return value;
+
+  if (value.documentName && value.uuid) return { uuid: value.uuid, name: value.name ?? null };
+  if (ancestors.has(value)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+
+  // Rolls and other data classes know their own JSON form
+  if (typeof value.toJSON === "function" && !Array.isArray(value)) {
+    const json = value.toJSON();
+    if (json !== value) return toPlainData(json, depth, ancestors);
+  }
+
+  ancestors.add(value);
+  const plain = (entries) =>
+    Object.fromEntries(
+      entries
+        .map(([key, entry]) => [key, toPlainData(entry, depth + 1, ancestors)])
+        .filter(([, entry]) => entry !== undefined),
+    );
+
+  let result;
+  if (Array.isArray(value) || value instanceof Set) {
+    result = [...value].map((entry) => toPlainData(entry, depth + 1, ancestors) ?? null);
+  } else if (value instanceof Map) {
+    result = plain([...value.entries()]);
+  } else {
+    result = plain(Object.entries(value));
+  }
+  ancestors.delete(value);
+  return result;
+}
+
+/**
+ * Read the module settings for a report
+ */
+function getReportedSettings() {
+  const settings = {};
+  for (const key of REPORTED_SETTINGS) {
+    try {
+      settings[key] = game.settings.get("alternative-crit-damage", key);
+    } catch (error) {
+      settings[key] = null;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Build a diagnostic report
+ * path is the calculation path ("captured", "strike", "direct" or "legacy");
+ * rolled describes an alt-crit card's own roll when the report is for one
+ */
+export function buildDiagnosticReport({
+  item = null,
+  actor = null,
+  message = null,
+  isCriticalHit = true,
+  path = null,
+  damageData = null,
+  captured = null,
+  components = [],
+  formula = "",
+  overrides = null,
+  rolled = null,
+  error = null,
+} = {}) {
+  return toPlainData({
+    module: { id: MODULE_ID, version: MODULE_VERSION },
+    foundry: game.version ?? null,
+    system: { id: game.system?.id ?? null, version: game.system?.version ?? null },
+    settings: getReportedSettings(),
+    message: message && {
+      id: message.id,
+      type: message.flags?.pf2e?.context?.type ?? null,
+      outcome: message.flags?.pf2e?.context?.outcome ?? null,
+      altCrit: !!message.flags?.[MODULE_ID]?.altCrit,
+    },
+    actor,
+    item: item && {
+      uuid: item.uuid,
+      name: item.name,
+      type: item.type,
+      damage: item.system?.damage,
+      traits: item.system?.traits?.value,
+      runes: item.system?.runes,
+      splashDamage: item.system?.splashDamage,
+      bonusDamage: item.system?.bonusDamage,
+    },
+    isCriticalHit,
+    path,
+    captured: captured && {
+      attackMessageId: captured.attackMessageId,
+      damageMessageId: captured.damageMessageId,
+      timestamp: captured.timestamp,
+      formula: captured.roll?.formula ?? null,
+    },
+    damageData,
+    overrides: overrides && {
+      enabled: overrides.enabled,
+      strategy: overrides.strategy?.id ?? null,
+      steps: overrides.steps,
+    },
+    components,
+    formula,
+    rolled,
+    error,
+  });
+}
+
+/**
+ * Format a report as the JSON block users paste into bug reports
+ */
+export function formatDiagnosticReport(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+export class DiagnosticReportApp extends getApplicationBase() {
+  constructor({ report, ...options } = {}) {
+    super(options);
+    this.report = formatDiagnosticReport(report);
+  }
+
+  static DEFAULT_OPTIONS = {
+    classes: ["alternative-crit-diagnostics"],
+    window: {
+      title: "ALTCRIT.Diagnostics.Title",
+      icon: "fas fa-stethoscope",
+      resizable: true,
+    },
+    position: { width: 640, height: "auto" },
+    actions: {
+      copy: DiagnosticReportApp.#onCopy,
+    },
+  };
+
+  static PARTS = {
+    report: { template: `modules/${MODULE_ID}/templates/diagnostic-report.hbs` },
+  };
+
+  async _prepareContext(options) {
+    return { report: this.report };
+  }
+
+  /**
+   * Copy the report to the clipboard
+   */
+  static async #onCopy() {
+    await game.clipboard.copyPlainText(this.report);
+    ui.notifications.info(game.i18n.localize("ALTCRIT.Notifications.ReportCopied"));
+  }
+}
+
+/**
+ * Open a diagnostic report window
+ */
+export function openDiagnosticReport(report) {
+  if (!requireApplicationV2()) return null;
+  return new DiagnosticReportApp({ report }).render(true);
+}
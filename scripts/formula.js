@@ -0,0 +1,250 @@
+/**
+ * Damage Components and Formula Serializer
+ * Every calculation path describes damage as typed components and turns them
+ * into a PF2e DamageRoll formula here, so crit rules, damage types and
+ * categories are written the same way everywhere.
+ *
+ * A damage component is
+ * { source, label, diceNumber, dieSize, modifier, damageType, category, critical }
+ * - source: where the damage comes from (base, striking, deadly, modifier, ...)
+ * - label: optional display name, e.g. the PF2e modifier label ("Precise Strike")
+ * - dieSize: die faces as a number, or null for flat damage
+ * - category: "", "persistent", "precision" or "splash"
+ * - critical: "double" (the crit rule applies), "extra" (crit-only dice) or
+ *   "none" (never changed by a crit, e.g. a Custom Crit regular row)
+ */
+
+import { getComponentBehaviour } from "./component-rules.js";
+import { getActiveCritStrategy } from "./strategies.js";
+
+// Dice the crit rule treats as the weapon's own damage dice
+const BASE_SOURCES = new Set(["base", "striking"]);
+
+/**
+ * Write the maximized value of dice
+ * As a flat number (`2d6` → `12`), or with locked set as dice that can only
+ * land on their highest face (`2d6min6`), so the tooltip and 3D dice show them
+ */
+export function maximizedDice(num, faces, { locked = false } = {}) {
+  return locked ? `${num}d${faces}min${faces}` : `${num * faces}`;
+}
+
+/**
+ * Create a damage component, filling in defaults
+ */
+export function createDamageComponent({
+  source = "base",
+  label = "",
+  diceNumber = 0,
+  dieSize = null,
+  modifier = 0,
+  damageType = "untyped",
+  category = "",
+  critical = "double",
+} = {}) {
+  return {
+    source,
+    label: label || "",
+    diceNumber: Number(diceNumber) || 0,
+    dieSize: dieSize ? parseInt(String(dieSize).replace("d", "")) : null,
+    modifier: Number(modifier) || 0,
+    damageType: damageType || "untyped",
+    category: category || "",
+    critical,
+  };
+}
+
+/**
+ * Add damage type and category to a formula
+ * - no category: `(1d6+6)[piercing]`
+ * - precision/splash: `((1d6)[precision])[piercing]`
+ * - persistent: `(1d6)[persistent,bleed]`
+ */
+export function typeDamageFormula(formula, damageType, category = "") {
+  const type = damageType || "untyped";
+  if (category === "persistent") {
+    return `(${formula})[persistent,${type}]`;
+  }
+  if (category) {
+    return `((${formula})[${category}])[${type}]`;
+  }
+  return `${formula}[${type}]`;
+}
+
+/**
+ * Join formula terms with +, keeping negative terms readable
+ */
+function joinTerms(terms) {
+  return terms.reduce((joined, term) => {
+    if (!joined) return term;
+    return term.startsWith("-") ? `${joined}${term}` : `${joined}+${term}`;
+  }, "");
+}
+
+/**
+ * Wrap a compound term in parentheses so a flavor applies to all of it
+ */
+function groupTerm(term) {
+  return /^(\d+|\d+d\d+)$/.test(term) ? term : `(${term})`;
+}
+
+/**
+ * Get how a crit treats a component
+ * Damage the crit never changes skips the category rules too
+ */
+function getCritBehaviour(component, isCriticalHit, rules) {
+  return isCriticalHit && component.critical !== "none" ? getComponentBehaviour(component, rules) : "normal";
+}
+
+/**
+ * Check whether a crit under a keep-higher strategy rolls a component twice
+ * Only the dice the strategy governs take part in both rolls
+ */
+export function isRolledTwice(component, isCriticalHit, options = {}) {
+  const strategy = options.strategy ?? getActiveCritStrategy();
+  return !!strategy.keepHigherTotal && getCritBehaviour(component, isCriticalHit, options.rules) === "strategy";
+}
+
+/**
+ * Build the untyped formula of one component
+ * On a crit the component's category rule decides between the crit strategy,
+ * maximizing, standard doubling and rolling normally
+ * With options.lockedDice, maximized dice are written as locked dice
+ * Returns "" when the component deals no damage on this roll
+ */
+export function componentTerm(component, isCriticalHit, options = {}) {
+  const { diceNumber, dieSize, critical, source } = component;
+  const strategy = options.strategy ?? getActiveCritStrategy();
+  const doubleStatic =
+    options.doubleStatic ?? game.settings.get("alternative-crit-damage", "doubleStatic");
+  const maximize = (num, faces) => maximizedDice(num, faces, { locked: !!options.lockedDice });
+
+  // Crit-only dice are not part of normal damage
+  if (critical === "extra" && !isCriticalHit) return "";
+
+  const behaviour = getCritBehaviour(component, isCriticalHit, options.rules);
+
+  const hasDice = diceNumber && dieSize;
+  let dice = hasDice ? `${diceNumber}d${dieSize}` : "";
+  let modifier = component.modifier || 0;
+
+  if (behaviour === "strategy") {
+    if (hasDice) {
+      dice =
+        critical === "extra"
+          ? strategy.extraDice(diceNumber, dieSize, { maximize })
+          : strategy.critDice(diceNumber, dieSize, { base: BASE_SOURCES.has(source), maximize });
+    }
+  } else if (behaviour === "maximize") {
+    if (hasDice) dice = maximize(diceNumber, dieSize);
+  }
+
+  // Static modifiers double with the rule, except on crit-only dice
+  if ((behaviour === "strategy" || behaviour === "maximize") && critical !== "extra" &&
+      strategy.doublesStatic(doubleStatic)) {
+    modifier *= 2;
+  }
+
+  const terms = [];
+  if (dice) terms.push(dice);
+  if (modifier) terms.push(`${modifier}`);
+  const term = joinTerms(terms);
+
+  // A standard crit rolls once and doubles the result
+  return behaviour === "double" && term ? `2*(${term})` : term;
+}
+
+/**
+ * Serialize components into PF2e damage instances
+ * Components of the same damage type share one instance, so resistances and
+ * weaknesses apply once; precision and splash stay categorized inside it and
+ * every persistent component is its own instance.
+ */
+export function serializeDamageInstances(components, isCriticalHit, options = {}) {
+  const groups = new Map();
+  const instances = [];
+
+  for (const component of components) {
+    const term = componentTerm(component, isCriticalHit, options);
+    if (!term) continue;
+
+    const damageType = component.damageType || "untyped";
+    if (component.category === "persistent") {
+      instances.push({ persistent: typeDamageFormula(term, damageType, "persistent") });
+      continue;
+    }
+
+    if (!groups.has(damageType)) {
+      const group = { damageType, parts: [] };
+      groups.set(damageType, group);
+      instances.push(group);
+    }
+    groups.get(damageType).parts.push({ term, category: component.category });
+  }
+
+  return instances.map((instance) => {
+    if (instance.persistent) return instance.persistent;
+
+    const { damageType, parts } = instance;
+    if (parts.length === 1) {
+      const [{ term, category }] = parts;
+      return typeDamageFormula(category ? term : groupTerm(term), damageType, category);
+    }
+
+    const inner = joinTerms(
+      parts.map(({ term, category }) => (category ? `(${term})[${category}]` : term)),
+    );
+    return `(${inner})[${damageType}]`;
+  });
+}
+
+/**
+ * Serialize components into a single DamageRoll formula: `{instance,instance}`
+ * Returns "" when no component deals damage
+ */
+export function serializeDamageFormula(components, isCriticalHit, options = {}) {
+  const instances = serializeDamageInstances(components, isCriticalHit, options);
+  return instances.length > 0 ? `{${instances.join(",")}}` : "";
+}
+
+/**
+ * Roll the damage a keep-higher crit adds once to the kept total
+ * Components that are not rolled twice are rolled here and replaced by a flat
+ * component of their result, so both rolls of the crit add the same value.
+ * Maximized dice never change and persistent damage keeps its dice for the
+ * condition, so those are left as they are.
+ * Returns { components, rolls }, rolls being the evaluated once-only rolls
+ */
+export async function rollOnceComponents(components, isCriticalHit, options = {}) {
+  const strategy = options.strategy ?? getActiveCritStrategy();
+  if (!isCriticalHit || !strategy.keepHigherTotal) return { components, rolls: [] };
+
+  const rolls = [];
+  const settled = [];
+  for (const component of components) {
+    const rolledOnce =
+      component.diceNumber &&
+      component.dieSize &&
+      component.category !== "persistent" &&
+      !["strategy", "maximize"].includes(getCritBehaviour(component, isCriticalHit, options.rules));
+    if (!rolledOnce) {
+      settled.push(component);
+      continue;
+    }
+
+    const roll = await new Roll(componentTerm(component, isCriticalHit, options)).evaluate();
+    rolls.push(roll);
+    settled.push(
+      createDamageComponent({ ...component, diceNumber: 0, dieSize: null, modifier: roll.total, critical: "none" }),
+    );
+  }
+
+  return { components: settled, rolls };
+}
+
+/**
+ * Describe once-only rolls for a chat note: `1d6 = 4, 2*(1d4) = 6`
+ */
+export function describeOnceRolls(rolls) {
+  return rolls.map((roll) => `${roll.formula} = ${roll.total}`).join(", ");
+}
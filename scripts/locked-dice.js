@@ -0,0 +1,77 @@
+/**
+ * Locked Dice Presentation
+ * With the `lockedDice` setting, the maximized part of a crit is rolled as
+ * dice that can only land on their highest face (`2d6min6`) instead of a flat
+ * bonus (`12`). The total is the same; the locked dice are marked in the roll
+ * tooltip and, when Dice So Nice is active, thrown in their own colorset.
+ */
+
+export const LOCKED_DICE_COLORSET = "alternative-crit-locked";
+
+/**
+ * Check whether maximized dice are shown as locked dice
+ */
+export function isLockedDiceEnabled() {
+  try {
+    return !!game.settings.get("alternative-crit-damage", "lockedDice");
+  } catch (error) {
+    // Setting not registered yet (e.g. called before init)
+    return false;
+  }
+}
+
+/**
+ * Check whether a dice term is locked at its highest face
+ */
+export function isLockedDie(term) {
+  return !!term?.faces && (term.modifiers ?? []).includes(`min${term.faces}`);
+}
+
+/**
+ * Give the locked dice of a roll their Dice So Nice appearance
+ * Dice So Nice reads the appearance from the term options stored with the roll
+ */
+export function applyLockedDiceAppearance(roll) {
+  if (!game.modules.get("dice-so-nice")?.active) return roll;
+
+  for (const term of roll.dice ?? []) {
+    if (isLockedDie(term)) term.options = { ...term.options, appearance: { colorset: LOCKED_DICE_COLORSET } };
+  }
+  return roll;
+}
+
+/**
+ * Register the locked dice colorset with Dice So Nice
+ * Hidden from the player dice settings, it is only used for locked dice
+ */
+export function registerLockedDiceColorset(dice3d) {
+  dice3d.addColorset({
+    name: LOCKED_DICE_COLORSET,
+    description: game.i18n.localize("ALTCRIT.LockedDice.Colorset"),
+    category: game.i18n.localize("ALTCRIT.LockedDice.Category"),
+    foreground: "#FFD700",
+    background: "#8B0000",
+    outline: "#000000",
+    edge: "#DC143C",
+    texture: "none",
+    material: "metal",
+    visibility: "hidden",
+  });
+}
+
+/**
+ * Mark the locked dice in the roll tooltips of a rendered chat message
+ * Tooltip parts follow the order of each roll's dice
+ */
+export function markLockedDice(message, html) {
+  const rollElements = html.querySelectorAll(".dice-roll");
+  (message.rolls ?? []).forEach((roll, index) => {
+    const parts = rollElements[index]?.querySelectorAll(".dice-tooltip .tooltip-part") ?? [];
+    (roll.dice ?? []).forEach((term, partIndex) => {
+      const part = parts[partIndex];
+      if (!part || !isLockedDie(term)) return;
+      part.classList.add("alternative-critical-locked");
+      part.title = game.i18n.localize("ALTCRIT.LockedDice.Tooltip");
+    });
+  });
+}
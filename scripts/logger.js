@@ -0,0 +1,55 @@
+/**
+ * Module Logging
+ * Every console message goes through here so the `logLevel` setting decides
+ * what is written. Each user picks their own level; debug adds full roll,
+ * damage structure and component dumps.
+ */
+
+import { MODULE_VERSION } from "./constants.js";
+
+// Log levels, quietest first, with their localization keys
+export const LOG_LEVELS = {
+  none: "ALTCRIT.Settings.LogLevel.Choices.none",
+  error: "ALTCRIT.Settings.LogLevel.Choices.error",
+  warn: "ALTCRIT.Settings.LogLevel.Choices.warn",
+  info: "ALTCRIT.Settings.LogLevel.Choices.info",
+  debug: "ALTCRIT.Settings.LogLevel.Choices.debug",
+};
+
+export const DEFAULT_LOG_LEVEL = "warn";
+
+const LEVEL_ORDER = Object.keys(LOG_LEVELS);
+
+/**
+ * Get the configured log level
+ */
+export function getLogLevel() {
+  try {
+    return game.settings.get("alternative-crit-damage", "logLevel") ?? DEFAULT_LOG_LEVEL;
+  } catch (error) {
+    // Setting not registered yet (e.g. while the module loads)
+    return DEFAULT_LOG_LEVEL;
+  }
+}
+
+/**
+ * Check whether messages of a level are written
+ */
+export function isLogLevelEnabled(level) {
+  return LEVEL_ORDER.indexOf(level) <= LEVEL_ORDER.indexOf(getLogLevel());
+}
+
+/**
+ * Write a prefixed message to the console if its level is enabled
+ */
+function write(level, method, args) {
+  if (!isLogLevelEnabled(level)) return;
+  console[method](`Alternative Critical Damage ${MODULE_VERSION} |`, ...args);
+}
+
+export const log = {
+  error: (...args) => write("error", "error", args),
+  warn: (...args) => write("warn", "warn", args),
+  info: (...args) => write("info", "log", args),
+  debug: (...args) => write("debug", "debug", args),
+};
@@ -5,15 +5,92 @@
  * Example: 1d6+4 crit becomes 1d6+6+4*2 (roll + max die + doubled static)
  */
 
-const MODULE_VERSION = "v1.1.8";
+import { applyAlternativeCriticalDamage } from "./apply.js";
+import { renderAlternativeCriticalCard } from "./card.js";
+import {
+  captureDamageMessage,
+  findOriginAttackMessage,
+  forgetDamageMessage,
+  getCapturedDamage,
+  rebuildDamageCaptureCache,
+} from "./capture.js";
+import { createElement, getRollMessageData, hasApplicationV2, onRenderChatMessage } from "./compat.js";
+import { DEFAULT_COMPONENT_RULES } from "./component-rules.js";
+import { ComponentRulesConfig } from "./component-rules-config.js";
+import { MODULE_ID, MODULE_VERSION } from "./constants.js";
+import { openCustomCrit } from "./custom-crit.js";
+import { openDamageAnalysis } from "./damage-analysis.js";
+import { buildDiagnosticReport, openDiagnosticReport } from "./diagnostics.js";
+import {
+  applyLockedDiceAppearance,
+  isLockedDiceEnabled,
+  markLockedDice,
+  registerLockedDiceColorset,
+} from "./locked-dice.js";
+import { DEFAULT_LOG_LEVEL, LOG_LEVELS, log } from "./logger.js";
+import { openOverrideConfig } from "./override-config.js";
+import { isAltCritEnabled, registerOverrideRuleElement, resolveOverrides } from "./overrides.js";
+import {
+  DEFAULT_ROLL_PERMISSION,
+  ROLL_PERMISSIONS,
+  SOCKET_NAME,
+  canRollAltCrit,
+  getRollingUser,
+} from "./permissions.js";
+import {
+  createDamageComponent,
+  describeOnceRolls,
+  rollOnceComponents,
+  serializeDamageFormula,
+} from "./formula.js";
+import {
+  findCriticalFailureSaves,
+  findSaveOriginMessage,
+  getSaveOriginUuid,
+  getSaveTargetName,
+  isCriticalFailureSave,
+} from "./saves.js";
+import {
+  parseItemDamage,
+  registerComponentParser,
+  unregisterComponentParser,
+} from "./parsers.js";
+import { createResultLink, describeResult, getLinkedResult, linkResult, scrollToMessage } from "./results.js";
+import { getSpellCastRank, isBasicSaveSpell } from "./spells.js";
+import {
+  DEFAULT_CRIT_STRATEGY,
+  evaluateCritRoll,
+  getActiveCritStrategy,
+  getCritStrategyChoices,
+  registerCritStrategy,
+} from "./strategies.js";
+import { OUTCOME_LABELS, getTargetOutcomes } from "./targets.js";
+import {
+  getFatalDieSize,
+  getPropertyRuneDice,
+  getStrikeDamageData,
+  getStrikingDice,
+  parseDamageData,
+} from "./weapons.js";
 
 Hooks.once("init", function () {
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Initializing...`);
+  log.info("Initializing...");
+
+  // Expose the public API to other modules and macros
+  game.modules.get(MODULE_ID).api = api;
+
+  // Let feats, effects and runes change alt-crit behaviour
+  if (registerOverrideRuleElement()) {
+    log.info("Registered the AltCritOverride rule element");
+  }
+
+  // v13 renders chat messages through renderChatMessageHTML, older versions through renderChatMessage
+  onRenderChatMessage(addChatMessageControls);
 
   // Register module settings
   game.settings.register("alternative-crit-damage", "enabled", {
-    name: "Enable Alternative Critical Button",
-    hint: 'When enabled, adds an "Alternative Critical" button to attack roll results',
+    name: "ALTCRIT.Settings.Enabled.Name",
+    hint: "ALTCRIT.Settings.Enabled.Hint",
     scope: "world",
     config: true,
     type: Boolean,
@@ -21,922 +98,1314 @@ Hooks.once("init", function () {
   });
 
   game.settings.register("alternative-crit-damage", "doubleStatic", {
-    name: "Double Static Modifiers",
-    hint: "When enabled, static damage modifiers (like +4) will still be doubled on alternative crits",
+    name: "ALTCRIT.Settings.DoubleStatic.Name",
+    hint: "ALTCRIT.Settings.DoubleStatic.Hint",
     scope: "world",
     config: true,
     type: Boolean,
     default: true,
   });
+
+  game.settings.register("alternative-crit-damage", "lockedDice", {
+    name: "ALTCRIT.Settings.LockedDice.Name",
+    hint: "ALTCRIT.Settings.LockedDice.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register("alternative-crit-damage", "critStrategy", {
+    name: "ALTCRIT.Settings.CritStrategy.Name",
+    hint: "ALTCRIT.Settings.CritStrategy.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: getCritStrategyChoices(),
+    default: DEFAULT_CRIT_STRATEGY,
+  });
+
+  game.settings.register("alternative-crit-damage", "captureLifetime", {
+    name: "ALTCRIT.Settings.CaptureLifetime.Name",
+    hint: "ALTCRIT.Settings.CaptureLifetime.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 60,
+  });
+
+  game.settings.register("alternative-crit-damage", "basicSaveCrits", {
+    name: "ALTCRIT.Settings.BasicSaveCrits.Name",
+    hint: "ALTCRIT.Settings.BasicSaveCrits.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register("alternative-crit-damage", "saveCrits", {
+    name: "ALTCRIT.Settings.SaveCrits.Name",
+    hint: "ALTCRIT.Settings.SaveCrits.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register("alternative-crit-damage", "autoMode", {
+    name: "ALTCRIT.Settings.AutoMode.Name",
+    hint: "ALTCRIT.Settings.AutoMode.Hint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register("alternative-crit-damage", "rollPermission", {
+    name: "ALTCRIT.Settings.RollPermission.Name",
+    hint: "ALTCRIT.Settings.RollPermission.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: ROLL_PERMISSIONS,
+    default: DEFAULT_ROLL_PERMISSION,
+  });
+
+  game.settings.register("alternative-crit-damage", "componentRules", {
+    name: "ALTCRIT.Settings.ComponentRules.Name",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: { ...DEFAULT_COMPONENT_RULES },
+  });
+
+  // The menu form needs ApplicationV2 (v12 and later)
+  if (hasApplicationV2()) {
+    game.settings.registerMenu("alternative-crit-damage", "componentRulesMenu", {
+      name: "ALTCRIT.Settings.ComponentRules.Name",
+      label: "ALTCRIT.Settings.ComponentRules.Label",
+      hint: "ALTCRIT.Settings.ComponentRules.Hint",
+      icon: "fas fa-sliders-h",
+      type: ComponentRulesConfig,
+      restricted: true,
+    });
+  }
+
+  game.settings.register("alternative-crit-damage", "logLevel", {
+    name: "ALTCRIT.Settings.LogLevel.Name",
+    hint: "ALTCRIT.Settings.LogLevel.Hint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: LOG_LEVELS,
+    default: DEFAULT_LOG_LEVEL,
+  });
 });
 
 Hooks.once("ready", function () {
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Ready`);
+  log.info("Ready");
 
   // Only work with PF2e system
   if (game.system.id !== "pf2e") {
-    console.warn(
-      `Alternative Critical Damage ${MODULE_VERSION} | This module is designed for the PF2e system only`,
-    );
+    log.warn("This module is designed for the PF2e system only");
     return;
   }
+
+  // Rolls forwarded by users who do not own the attacker
+  game.socket.on(SOCKET_NAME, handleSocketMessage);
+
+  // Recover damage captured before the page was loaded
+  rebuildDamageCaptureCache();
 });
 
-// Global storage for the last damage roll data
-let lastDamageRollData = null;
+// Dice So Nice throws locked dice in their own colorset
+Hooks.once("diceSoNiceReady", registerLockedDiceColorset);
 
 // Hook to capture damage roll data when created
 Hooks.on("createChatMessage", (message) => {
-  if (message.rolls && message.rolls.length > 0) {
-    const roll = message.rolls[0];
-    if (roll.constructor.name === "DamageRoll") {
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Capturing damage roll data:`, roll);
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Message item:`, message.item);
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Message item ID:`, message.item?.id);
-
-      lastDamageRollData = {
-        roll: roll,
-        message: message,
-        timestamp: Date.now()
-      };
-
-      // Log the structure we're interested in
-      if (roll.options && roll.options.damage) {
-        console.log(`Alternative Critical Damage ${MODULE_VERSION} | Damage roll options:`, roll.options.damage);
-        if (roll.options.damage.damage) {
-          console.log(`Alternative Critical Damage ${MODULE_VERSION} | Damage structure:`, roll.options.damage.damage);
-          console.log(`Alternative Critical Damage ${MODULE_VERSION} | Base damage:`, roll.options.damage.damage.base);
-          console.log(`Alternative Critical Damage ${MODULE_VERSION} | Modifiers:`, roll.options.damage.damage.modifiers);
-          console.log(`Alternative Critical Damage ${MODULE_VERSION} | Dice:`, roll.options.damage.damage.dice);
-        }
-      }
-    }
+  const entry = captureDamageMessage(message);
+  if (entry) {
+    log.debug("Captured damage roll data:", entry);
+    log.debug("Damage structure:", entry.damageData);
   }
 });
 
-/**
- * Hook into chat message rendering to add alternative critical button
- */
-Hooks.on("renderChatMessage", (message, html, data) => {
+// Automatic mode: replace the system's critical damage rolls before they are posted
+Hooks.on("preCreateChatMessage", (message, data, options, userId) => {
   try {
-    if (!game.settings.get("alternative-crit-damage", "enabled")) return;
+    if (!game.settings.get("alternative-crit-damage", "autoMode")) return;
+    if (message.flags?.[MODULE_ID]) return;
 
-    // Check if this message has an item (weapon/spell) that can do damage
-    if (!message.item) return;
-
-    // Look for existing damage buttons - check multiple possible actions
-    const strikeButtons = html.find('button[data-action="strike-damage"]');
-    const damageButtons = html.find('button[data-action="damage-roll"]');
-    const spellButtons = html.find('button[data-action="spell-damage"]');
+    const context = message.flags?.pf2e?.context;
+    if (context?.type !== "damage-roll" || context.outcome !== "criticalSuccess") return;
 
-    // Check if there are any damage-related buttons
-    const hasDamageButtons =
-      strikeButtons.length > 0 ||
-      damageButtons.length > 0 ||
-      spellButtons.length > 0;
+    const roll = message.rolls?.[0];
+    if (roll?.constructor.name !== "DamageRoll") return;
 
-    if (!hasDamageButtons) return;
-
-    // Check if we already added the button to avoid duplicates
-    if (html.find(".alternative-critical").length > 0) return;
+    const item = message.item;
+    const actor = message.actor;
+    const damageData = roll.options?.damage?.damage;
+    if (!actor || !(damageData?.base || item?.type === "spell")) return;
+    if (!isAltCritEnabled(actor, item)) return;
+
+    log.info("Replacing critical damage roll automatically");
+    const rollMode = getMessageRollMode(message, options);
+    rollAutomaticAlternativeCritical(item, actor, damageData, message, rollMode).catch((error) => {
+      log.error("Error in automatic alternative critical:", error);
+      ui.notifications.error(game.i18n.localize("ALTCRIT.Notifications.RollFailed"));
+    });
 
-    // Find the button container
-    let buttonContainer;
-    if (strikeButtons.length > 0) {
-      buttonContainer = strikeButtons.parent();
-    } else if (damageButtons.length > 0) {
-      buttonContainer = damageButtons.parent();
-    } else if (spellButtons.length > 0) {
-      buttonContainer = spellButtons.parent();
-    }
+    // Cancel the doubled damage message
+    return false;
+  } catch (error) {
+    log.error("Error in preCreateChatMessage hook:", error);
+  }
+});
 
-    if (!buttonContainer || buttonContainer.length === 0) return;
+// Drop captured data that belongs to deleted messages
+Hooks.on("deleteChatMessage", (message) => {
+  forgetDamageMessage(message);
+});
 
-    // Create alternative critical button
-    const alternativeButton = $(`
-            <button type="button" class="alternative-critical" data-action="alternative-critical" title="Alternative Critical Damage">
-                <i class="fas fa-dice-d20"></i> Alt Crit
+/**
+ * Create the alternative critical button
+ * Styled by styles/alternative-crit.css to match PF2e buttons
+ */
+function createAlternativeButton(
+  onClick,
+  {
+    label = game.i18n.localize("ALTCRIT.Buttons.AltCrit.Label"),
+    title = game.i18n.localize("ALTCRIT.Buttons.AltCrit.Title"),
+    icon = "fa-dice-d20",
+    action = "alternative-critical",
+  } = {},
+) {
+  const alternativeButton = createElement(`
+            <button type="button" class="alternative-critical-button ${action}" data-action="${action}" title="${title}">
+                <i class="fas ${icon}"></i> ${label}
             </button>
         `);
 
-    // Style the button to match PF2e buttons
-    alternativeButton.css({
-      background: "linear-gradient(135deg, #8B0000, #DC143C)",
-      border: "1px solid #8B0000",
-      color: "white",
-      margin: "2px",
-      padding: "4px 8px",
-      "border-radius": "3px",
-      "font-size": "12px",
-      cursor: "pointer",
-    });
+  // Add click handler
+  alternativeButton.addEventListener("click", (event) => {
+    event.preventDefault();
+    onClick(event);
+  });
 
-    // Add hover effect
-    alternativeButton.hover(
-      function () {
-        $(this).css("background", "linear-gradient(135deg, #A0522D, #FF6347)");
-      },
-      function () {
-        $(this).css("background", "linear-gradient(135deg, #8B0000, #DC143C)");
-      },
-    );
+  return alternativeButton;
+}
 
-    // Add click handler
-    alternativeButton.on("click", (event) => {
-      event.preventDefault();
-      handleAlternativeCritical(message, event.currentTarget);
-    });
+/**
+ * Add the alternative critical button to a critically failed saving throw card
+ */
+function addSaveAlternativeButton(message, html) {
+  if (!game.settings.get("alternative-crit-damage", "saveCrits")) return;
 
-    // Add the button to the container
-    buttonContainer.append(alternativeButton);
-  } catch (error) {
-    console.error(
-      `Alternative Critical Damage ${MODULE_VERSION} | Error in renderChatMessage hook:`,
-      error,
-    );
-  }
-});
+  // Only saves forced by a damaging effect; spells must use a basic save
+  const origin = fromUuidSync(getSaveOriginUuid(message) ?? "");
+  if (!origin || (origin.type === "spell" && !isBasicSaveSpell(origin))) return;
+  if (!isAltCritEnabled(origin.actor, origin)) return;
+  if (!canRollAltCrit(origin.actor)) return;
+
+  const content = html.querySelector(".message-content");
+  if (!content) return;
+
+  const container = createElement(`<div class="alternative-critical-save"></div>`);
+  container.append(createAlternativeButton(() => requestAlternativeCritical("save", message, origin.actor)));
+  content.append(container);
+}
 
 /**
- * Handle alternative critical damage roll
+ * Add the apply control to an alternative critical damage card
  */
-async function handleAlternativeCritical(message, button) {
-  try {
-    const item = message.item;
-    const actor = message.actor;
+function addApplyButton(message, html) {
+  if (html.querySelector(".alternative-critical-apply")) return;
+
+  const content = html.querySelector(".message-content");
+  if (!content) return;
+
+  const container = createElement(`<div class="alternative-critical-apply-container"></div>`);
+  container.append(
+    createAlternativeButton(() => applyAlternativeCriticalDamage(message), {
+      label: game.i18n.localize("ALTCRIT.Buttons.Apply.Label"),
+      title: game.i18n.localize("ALTCRIT.Buttons.Apply.Title"),
+      icon: "fa-heart-crack",
+      action: "alternative-critical-apply",
+    }),
+  );
+  content.append(container);
+}
 
-    if (!item || !actor) {
-      ui.notifications.warn(
-        `Alternative Critical Damage ${MODULE_VERSION} | No weapon found for damage roll`,
-      );
-      return;
-    }
+/**
+ * Add a link back to the attack or saving throw card an alt-crit card was rolled from
+ */
+function addSourceLink(message, html) {
+  const sourceMessageId = message.flags[MODULE_ID].sourceMessageId;
+  if (!sourceMessageId || html.querySelector(".alternative-critical-source")) return;
+  if (!game.messages.get(sourceMessageId)) return;
+
+  const content = html.querySelector(".message-content");
+  if (!content) return;
+
+  const link = createElement(`
+            <a class="alternative-critical-source">
+                <i class="fas fa-link"></i> ${game.i18n.localize("ALTCRIT.Results.ShowSource")}
+            </a>
+        `);
+  link.addEventListener("click", (event) => {
+    event.preventDefault();
+    scrollToMessage(sourceMessageId);
+  });
+  content.append(link);
+}
 
-    console.log(
-      `Alternative Critical Damage ${MODULE_VERSION} | Rolling alternative critical damage`,
+/**
+ * Show the linked alt-crit result on the card it was rolled from
+ * Everyone sees the summary; GMs also get a re-roll button
+ */
+function addResultSummary(message, html, link, action, actor) {
+  if (html.querySelector(".alternative-critical-summary")) return;
+
+  const content = html.querySelector(".message-content");
+  if (!content) return;
+
+  const summary = createElement(`<div class="alternative-critical-summary"></div>`);
+  summary.append(
+    createAlternativeButton(() => scrollToMessage(link.messageIds[0]), {
+      label: describeResult(link),
+      title: game.i18n.localize("ALTCRIT.Results.ShowResult"),
+      action: "alternative-critical-result",
+    }),
+  );
+  if (game.user.isGM) {
+    summary.append(
+      createAlternativeButton(() => requestAlternativeCritical(action, message, actor, { reroll: true }), {
+        label: game.i18n.localize("ALTCRIT.Results.Reroll.Label"),
+        title: game.i18n.localize("ALTCRIT.Results.Reroll.Title"),
+        icon: "fa-rotate",
+        action: "alternative-critical-reroll",
+      }),
     );
+  }
+  content.append(summary);
+}
 
-    // Get the attack roll outcome to determine if it was actually a critical
-    const attackOutcome = message.flags?.pf2e?.context?.outcome;
-    const isCriticalHit = attackOutcome === "criticalSuccess";
+/**
+ * Add the Custom Crit control to an alternative critical damage card
+ * Opens the dice-row builder pre-filled with the card's damage components
+ */
+function addCustomCritButton(message, html) {
+  if (html.querySelector(".alternative-critical-custom")) return;
+
+  const actor = message.actor;
+  if (!actor?.isOwner) return;
+
+  const container = html.querySelector(".alternative-critical-apply-container");
+  if (!container) return;
+
+  container.append(
+    createAlternativeButton(
+      () => {
+        // Pre-fill from the attack or saving throw card the result was rolled from
+        const { itemUuid, sourceMessageId } = message.flags[MODULE_ID];
+        const item = itemUuid ? fromUuidSync(itemUuid) : null;
+        openCustomCrit({ actor, item, message: game.messages.get(sourceMessageId) ?? null });
+      },
+      {
+        label: game.i18n.localize("ALTCRIT.Buttons.CustomCrit.Label"),
+        title: game.i18n.localize("ALTCRIT.Buttons.CustomCrit.Title"),
+        icon: "fa-sliders",
+        action: "alternative-critical-custom",
+      },
+    ),
+  );
+}
 
-    // Build damage roll using PF2e's DamageRoll structure
-    await rollAlternativeCriticalDamageFromPF2eData(item, actor, isCriticalHit);
-  } catch (error) {
-    console.error(
-      `Alternative Critical Damage ${MODULE_VERSION} | Error rolling alternative critical:`,
-      error,
-    );
-    ui.notifications.error("Failed to roll alternative critical damage");
+// Scene controls to open the Custom Crit builder and the damage analysis for the selected token
+Hooks.on("getSceneControlButtons", (controls) => {
+  if (!game.settings.get("alternative-crit-damage", "enabled")) return;
+
+  const getActor = () => canvas.tokens.controlled[0]?.actor ?? game.user.character;
+  const tools = [
+    {
+      name: "alternativeCustomCrit",
+      title: game.i18n.localize("ALTCRIT.Controls.CustomCrit"),
+      icon: "fas fa-dice-d20",
+      button: true,
+      open: () => openCustomCrit({ actor: getActor() }),
+    },
+    {
+      name: "alternativeCritAnalysis",
+      title: game.i18n.localize("ALTCRIT.Controls.Analysis"),
+      icon: "fas fa-chart-column",
+      button: true,
+      open: () => openDamageAnalysis(getActor()),
+    },
+  ];
+
+  // v13 keys controls and tools by name, older versions use arrays
+  for (const { open, ...tool } of tools) {
+    if (Array.isArray(controls)) {
+      controls.find((control) => control.name === "token")?.tools.push({ ...tool, onClick: open });
+    } else if (controls.tokens) {
+      controls.tokens.tools[tool.name] = { ...tool, onChange: open, order: Object.keys(controls.tokens.tools).length };
+    }
   }
-}
+});
 
 /**
- * Get PF2e DamageRoll class
+ * Add the Alt Crit override button to an actor or item sheet header
  */
-function getDamageRollClass() {
-  return CONFIG.Dice.rolls.find((r) => r.name === "DamageRoll");
+function addOverrideHeaderButton(sheet, buttons) {
+  const document = sheet.document ?? sheet.object;
+  if (!document?.isOwner) return;
+
+  buttons.unshift({
+    label: game.i18n.localize("ALTCRIT.Buttons.Sheet"),
+    class: "alternative-crit-override",
+    icon: "fas fa-dice-d20",
+    onclick: () => openOverrideConfig(document),
+  });
 }
 
+Hooks.on("getActorSheetHeaderButtons", addOverrideHeaderButton);
+Hooks.on("getItemSheetHeaderButtons", (sheet, buttons) => {
+  const type = (sheet.document ?? sheet.object)?.type;
+  if (["weapon", "spell", "consumable", "melee"].includes(type)) addOverrideHeaderButton(sheet, buttons);
+});
+
 /**
- * Create alternative critical damage using captured damage roll data
+ * Add "Generate diagnostic report" to the context menu of attack and alt-crit cards
+ * v12 passes jQuery entries to getChatLogEntryContext, v13 elements to getChatMessageContextOptions
  */
-async function rollAlternativeCriticalDamageFromPF2eData(item, actor, isCriticalHit) {
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Getting PF2e damage data for:`, item.name);
+function addDiagnosticContextOption(application, options) {
+  const name = "ALTCRIT.Diagnostics.Generate";
+  if (options.some((option) => option.name === name)) return;
+
+  const getMessage = (li) => game.messages.get(li.dataset?.messageId ?? li.data?.("messageId"));
+  options.push({
+    name,
+    icon: '<i class="fas fa-stethoscope"></i>',
+    condition: (li) => {
+      const message = getMessage(li);
+      return !!message && (!!message.flags?.[MODULE_ID]?.altCrit || !!message.item);
+    },
+    callback: async (li) => {
+      const report = await generateDiagnosticReport(getMessage(li));
+      if (!report) {
+        ui.notifications.warn(game.i18n.localize("ALTCRIT.Notifications.NoDiagnostics"));
+        return;
+      }
+      openDiagnosticReport(report);
+    },
+  });
+}
+
+Hooks.on("getChatLogEntryContext", addDiagnosticContextOption);
+Hooks.on("getChatMessageContextOptions", addDiagnosticContextOption);
 
+/**
+ * Add the alternative critical button to a rendered chat message
+ * html is the message's element on every Foundry version
+ */
+function addChatMessageControls(message, html) {
   try {
-    // Check if we have recent damage roll data from the same item
-    console.log(`Alternative Critical Damage ${MODULE_VERSION} | Checking for recent damage data...`);
-    console.log(`Alternative Critical Damage ${MODULE_VERSION} | Current item ID:`, item.id);
-    console.log(`Alternative Critical Damage ${MODULE_VERSION} | Last damage data exists:`, !!lastDamageRollData);
-    if (lastDamageRollData) {
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Last damage item ID:`, lastDamageRollData.message.item?.id);
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Time since last roll:`, Date.now() - lastDamageRollData.timestamp, 'ms');
+    // Alt-crit results get an apply control instead
+    if (message.flags?.[MODULE_ID]?.altCrit) {
+      markLockedDice(message, html);
+      addApplyButton(message, html);
+      addCustomCritButton(message, html);
+      addSourceLink(message, html);
+      return;
     }
 
-    if (lastDamageRollData &&
-      lastDamageRollData.message.item &&
-      lastDamageRollData.message.item.id === item.id &&
-      (Date.now() - lastDamageRollData.timestamp) < 30000) { // Within 30 seconds
+    // Cards that were already rolled show the result instead of the button
+    const link = getLinkedResult(message);
+    if (link) {
+      const isSave = isCriticalFailureSave(message);
+      const actor = isSave ? fromUuidSync(getSaveOriginUuid(message) ?? "")?.actor : message.actor;
+      addResultSummary(message, html, link, isSave ? "save" : "attack", actor);
+      return;
+    }
 
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Using captured damage roll data`);
+    // Check if we already added the button to avoid duplicates
+    if (html.querySelector(".alternative-critical")) return;
 
-      const damageData = lastDamageRollData.roll.options?.damage?.damage;
-      if (damageData) {
-        console.log(`Alternative Critical Damage ${MODULE_VERSION} | Found damage data from recent roll`);
+    // Critically failed saves get their own button
+    if (isCriticalFailureSave(message)) {
+      addSaveAlternativeButton(message, html);
+      return;
+    }
 
-        // Use the captured data to create alternative critical damage
-        const altCritFormula = await createAlternativeCriticalFormula(damageData, isCriticalHit);
+    // Check if this message has an item (weapon/spell) that can do damage
+    if (!message.item) return;
 
-        console.log(`Alternative Critical Damage ${MODULE_VERSION} | Alternative formula:`, altCritFormula);
+    // The world setting, actor and item overrides decide whether alt crits apply
+    if (!isAltCritEnabled(message.actor, message.item)) return;
 
-        // Create and roll the alternative damage
-        const DamageRoll = getDamageRollClass();
-        const roll = new DamageRoll(altCritFormula, actor.getRollData());
-        await roll.evaluate();
+    // Only users the roll permission setting allows see the button
+    if (!canRollAltCrit(message.actor)) return;
 
-        // Build flavor text
-        let flavorText = `<strong>Alternative Critical Damage</strong><br>`;
-        if (isCriticalHit) {
-          flavorText += `<em>Roll once + add maximum die value</em><br>`;
-        } else {
-          flavorText += `<em>Normal damage (not a critical hit)</em><br>`;
-        }
-        flavorText += `<strong>${item.name}</strong>`;
-
-        // Send the roll to chat
-        await ChatMessage.create({
-          user: game.user.id,
-          type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-          rolls: [roll],
-          speaker: ChatMessage.getSpeaker({ actor: actor }),
-          flavor: flavorText,
-          rollMode: game.settings.get("core", "rollMode"),
-        });
-
-        console.log(`Alternative Critical Damage ${MODULE_VERSION} | Alternative critical damage sent to chat`);
-        return;
-      }
-    }
+    // Look for existing damage buttons - check multiple possible actions
+    const damageButton =
+      html.querySelector('button[data-action="strike-damage"]') ??
+      html.querySelector('button[data-action="damage-roll"]') ??
+      html.querySelector('button[data-action="spell-damage"]');
 
-    // No recent damage data found, try to calculate damage modifiers directly
-    console.log(`Alternative Critical Damage ${MODULE_VERSION} | No recent damage data found, attempting direct calculation`);
-    await attemptDirectDamageCalculation(item, actor, isCriticalHit);
+    // Find the button container
+    const buttonContainer = damageButton?.parentElement;
+    if (!buttonContainer) return;
+
+    // Create alternative critical button
+    const alternativeButton = createAlternativeButton(() =>
+      requestAlternativeCritical("attack", message, message.actor),
+    );
 
+    // Add the button to the container
+    buttonContainer.append(alternativeButton);
   } catch (error) {
-    console.error(`Alternative Critical Damage ${MODULE_VERSION} | Error in PF2e damage calculation:`, error);
-    await rollAlternativeCriticalDamageLegacy(item, actor, isCriticalHit);
+    log.error("Error adding chat message controls:", error);
   }
 }
 
-/**
- * Create alternative critical damage formula from PF2e damage data
- */
-async function createAlternativeCriticalFormula(damageData, isCriticalHit) {
-  const formulaParts = [];
+// Roll handlers a forwarded click can ask for
+// Each returns the alt-crit messages it created
+const ROLL_HANDLERS = {
+  attack: (message, options) => handleAlternativeCritical(message, options),
+  save: (message, options) => handleSaveAlternativeCritical(message, options),
+};
 
-  // Handle base weapon damage (the main dice)
-  if (damageData.base && damageData.base.length > 0) {
-    for (const baseDamage of damageData.base) {
-      const { diceNumber, dieSize, modifier, damageType, category } = baseDamage;
+// Cards this client is rolling for, so quick double clicks roll once
+const pendingRolls = new Set();
 
-      if (diceNumber && dieSize) {
-        const dieValue = parseInt(dieSize.replace('d', ''));
-        if (isCriticalHit) {
-          // Alternative crit: roll dice + add max die value + modifier
-          let formula = `(${diceNumber}${dieSize}+${diceNumber * dieValue}`;
-          if (modifier) formula += `+${modifier}`;
-          formula += `)`;
+/**
+ * Show the alt-crit result already rolled for a card
+ */
+function showLinkedResult(link) {
+  scrollToMessage(link.messageIds[0]);
+  ui.notifications.info(game.i18n.localize("ALTCRIT.Notifications.AlreadyRolled"));
+}
 
-          // Add damage type
-          formula += `[${damageType || 'untyped'}]`;
-          formulaParts.push(formula);
-        } else {
-          // Normal damage: just roll dice + modifier
-          let formula = `(${diceNumber}${dieSize}`;
-          if (modifier) formula += `+${modifier}`;
-          formula += `)`;
+/**
+ * Roll an Alt Crit click here, or forward it to a user who owns the attacker
+ * A card that already has a result shows it instead; only GMs can re-roll
+ */
+function requestAlternativeCritical(action, message, actor, { reroll = false } = {}) {
+  if (reroll && !game.user.isGM) return;
 
-          // Add damage type
-          formula += `[${damageType || 'untyped'}]`;
-          formulaParts.push(formula);
-        }
-      }
-    }
+  const link = getLinkedResult(message);
+  if (link && !reroll) {
+    showLinkedResult(link);
+    return;
   }
 
-  // Handle modifiers (like Strength, Precise Strike, etc.)
-  if (damageData.modifiers && damageData.modifiers.length > 0) {
-    for (const modifierData of damageData.modifiers) {
-      if (modifierData.enabled && !modifierData.ignored && modifierData.modifier) {
-        const { modifier, damageCategory, damageType } = modifierData;
-
-        let modifierValue = modifier;
-        if (isCriticalHit && game.settings.get("alternative-crit-damage", "doubleStatic")) {
-          // Double static modifiers on crits if setting is enabled
-          modifierValue *= 2;
-        }
+  const roller = getRollingUser(actor);
+  if (!roller) {
+    ui.notifications.warn(game.i18n.format("ALTCRIT.Notifications.NoRoller", { name: actor?.name }));
+    return;
+  }
 
-        let formula = `${modifierValue}`;
+  if (roller.id === game.user.id) {
+    return rollForCard(action, message, { triggeredBy: game.user.id, reroll });
+  }
 
-        // Add category if present (like precision)
-        if (damageCategory) {
-          formula = `(${formula}[${damageCategory}])`;
-        }
+  log.info(`Forwarding the ${action} roll to ${roller.name}`);
+  game.socket.emit(SOCKET_NAME, {
+    type: "roll",
+    action,
+    messageId: message.id,
+    userId: roller.id,
+    requesterId: game.user.id,
+    reroll,
+  });
+  ui.notifications.info(game.i18n.format("ALTCRIT.Notifications.Forwarded", { name: roller.name }));
+}
 
-        // Add damage type if specified
-        if (damageType) {
-          formula += `[${damageType}]`;
-        } else {
-          formula += `[untyped]`;
-        }
+/**
+ * Roll alternative critical damage for a card and link the result to it
+ * Returns the created alt-crit messages, or [] when nothing was rolled
+ */
+async function rollForCard(action, message, { triggeredBy = game.user.id, reroll = false } = {}) {
+  const previous = getLinkedResult(message);
+  if ((previous && !reroll) || pendingRolls.has(message.id)) {
+    log.info("Skipped a roll for a card that already has a result");
+    return [];
+  }
 
-        formulaParts.push(formula);
-      }
-    }
+  pendingRolls.add(message.id);
+  try {
+    const created = await ROLL_HANDLERS[action](message, { triggeredBy, sourceMessageId: message.id });
+    if (created.length > 0) await saveResultLink(message, created, { triggeredBy, previous });
+    return created;
+  } finally {
+    pendingRolls.delete(message.id);
   }
+}
+
+/**
+ * Link the alt-crit messages rolled from a card to that card
+ */
+async function saveResultLink(message, created, { triggeredBy = game.user.id, previous = null } = {}) {
+  const link = createResultLink(created, { triggeredBy, previous });
+  if (await linkResult(message, link)) return;
 
-  // Handle additional dice (like deadly trait)
-  if (damageData.dice && damageData.dice.length > 0) {
-    for (const diceData of damageData.dice) {
-      if (diceData.enabled && !diceData.ignored) {
-        // Only add deadly/fatal dice on critical hits
-        if (diceData.critical === true && isCriticalHit) {
-          const { diceNumber, dieSize, damageType, category } = diceData;
+  // Players cannot update cards they did not post, the GM saves the link for them
+  const gm = game.users.activeGM;
+  if (gm) game.socket.emit(SOCKET_NAME, { type: "link", messageId: message.id, userId: gm.id, link });
+}
 
-          if (diceNumber && dieSize) {
-            let formula = `(${diceNumber}${dieSize})`;
+/**
+ * Handle a roll or result link forwarded to this user through the module socket
+ * The roll permission is checked again for the user who clicked
+ */
+function handleSocketMessage(data) {
+  if (data?.userId !== game.user.id) return;
 
-            // Add category if present
-            if (category) {
-              formula = `(${formula}[${category}])`;
-            }
+  const message = game.messages.get(data.messageId);
+  if (!message) return;
 
-            // Add damage type
-            formula += `[${damageType || 'untyped'}]`;
-            formulaParts.push(formula);
-          }
-        }
-      }
-    }
+  if (data.type === "link") {
+    // Only links to results rolled from this card are saved
+    const valid = data.link?.messageIds?.every(
+      (id) => game.messages.get(id)?.flags?.[MODULE_ID]?.sourceMessageId === message.id,
+    );
+    if (valid) return linkResult(message, data.link);
+    return;
   }
+  if (data.type !== "roll") return;
+
+  const requester = game.users.get(data.requesterId);
+  if (!requester || !ROLL_HANDLERS[data.action]) return;
 
-  if (formulaParts.length === 0) {
-    throw new Error("No damage components found");
+  const actor =
+    data.action === "save" ? fromUuidSync(getSaveOriginUuid(message) ?? "")?.actor : message.actor;
+  if (!canRollAltCrit(actor, requester)) {
+    log.warn(`Ignored a forwarded roll from ${requester.name}, who may not roll for this actor`);
+    return;
   }
 
-  return `{${formulaParts.join(',')}}`;
+  log.info(`Rolling a forwarded ${data.action} roll for ${requester.name}`);
+  return rollForCard(data.action, message, {
+    triggeredBy: requester.id,
+    reroll: !!data.reroll && requester.isGM,
+  });
 }
 
 /**
- * Attempt to calculate damage directly without needing a prior roll
+ * Handle alternative critical damage roll
+ * triggeredBy is the id of the user who clicked and sourceMessageId the card
+ * clicked on, both recorded on the alt-crit card
+ * Returns the created alt-crit messages
  */
-async function attemptDirectDamageCalculation(item, actor, isCriticalHit) {
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Attempting direct damage calculation`);
-  
+async function handleAlternativeCritical(message, { triggeredBy = game.user.id, sourceMessageId = null } = {}) {
+  const card = { triggeredBy, sourceMessageId };
+  const created = [];
   try {
-    // Build a synthetic damage structure based on what we can determine
-    const syntheticDamageData = {
-      base: [],
-      modifiers: [],
-      dice: []
-    };
-    
-    // Get base weapon damage
-    const baseDamage = item.system.damage;
-    if (baseDamage && baseDamage.dice && baseDamage.die) {
-      const dieValue = parseInt(baseDamage.die.replace('d', ''));
-      syntheticDamageData.base.push({
-        diceNumber: baseDamage.dice,
-        dieSize: baseDamage.die,
-        modifier: baseDamage.modifier || 0,
-        damageType: baseDamage.damageType || 'untyped'
-      });
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Added base damage:`, syntheticDamageData.base[0]);
+    const item = message.item;
+    const actor = message.actor;
+
+    if (!item || !actor) {
+      ui.notifications.warn(
+        `Alternative Critical Damage ${MODULE_VERSION} | ${game.i18n.localize("ALTCRIT.Notifications.NoWeapon")}`,
+      );
+      return created;
     }
-    
-    // Try to get strength modifier for melee weapons
-    if (item.type === "weapon" && item.system.category !== "unarmed" && actor) {
-      const strMod = actor.system?.abilities?.str?.mod || 0;
-      if (strMod > 0) {
-        syntheticDamageData.modifiers.push({
-          enabled: true,
-          ignored: false,
-          modifier: strMod,
-          damageCategory: null,
-          damageType: null
-        });
-        console.log(`Alternative Critical Damage ${MODULE_VERSION} | Added strength modifier:`, strMod);
-      }
+
+    log.info("Rolling alternative critical damage");
+
+    // Several targets (a spell's attacks from one spell card): roll per target and post one combined card
+    const targets = getTargetOutcomes(message);
+    if (targets.length > 1) {
+      created.push(await rollAlternativeCriticalForTargets(item, actor, message, targets, card));
+      return created.filter(Boolean);
     }
-    
-    // Try to find weapon specialization or other flat bonuses
-    // This is more complex and would require deeper PF2e knowledge
-    if (actor && actor.system) {
-      // Look for damage bonuses in the actor's system
-      // This is a placeholder - we'd need to dig into PF2e's modifier system
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Actor system available for bonus calculation`);
+
+    // Get the attack roll outcome to determine if it was actually a critical
+    // A single target's outcome follows any later rerolls
+    const attackOutcome = targets[0]?.outcome ?? message.flags?.pf2e?.context?.outcome;
+    let isCriticalHit = attackOutcome === "criticalSuccess";
+    const notes = [];
+    if (targets.length === 1) {
+      notes.push(
+        game.i18n.format("ALTCRIT.Chat.Target", {
+          name: targets[0].name,
+          outcome: OUTCOME_LABELS[attackOutcome] ? game.i18n.localize(OUTCOME_LABELS[attackOutcome]) : attackOutcome,
+        }),
+      );
     }
-    
-    // Handle weapon traits like deadly
-    const traits = item.system.traits?.value || [];
-    for (const trait of traits) {
-      if (trait.startsWith('deadly-')) {
-        const deadlyDie = trait.replace('deadly-', '');
-        syntheticDamageData.dice.push({
-          enabled: true,
-          ignored: false,
-          critical: true,
-          diceNumber: 1,
-          dieSize: deadlyDie,
-          damageType: baseDamage.damageType || 'untyped',
-          category: null
-        });
-        console.log(`Alternative Critical Damage ${MODULE_VERSION} | Added deadly trait:`, trait);
+
+    // Area effects: roll a result for each target that critically failed its save
+    if (!attackOutcome && game.settings.get("alternative-crit-damage", "saveCrits")) {
+      const saves = findCriticalFailureSaves(message);
+      if (saves.length > 0 && (item.type !== "spell" || isBasicSaveSpell(item))) {
+        for (const save of saves) {
+          const result = await rollAlternativeCriticalDamageLegacy(item, actor, true, message);
+          created.push(
+            await sendAlternativeCriticalToChat(
+              item,
+              actor,
+              true,
+              result,
+              [game.i18n.format("ALTCRIT.Chat.CriticalFailure", { name: getSaveTargetName(save) })],
+              card,
+            ),
+          );
+        }
+        return created.filter(Boolean);
       }
     }
-    
-    // If we have some damage data, use it
-    if (syntheticDamageData.base.length > 0) {
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Using synthetic damage data:`, syntheticDamageData);
-      
-      const altCritFormula = await createAlternativeCriticalFormula(syntheticDamageData, isCriticalHit);
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Direct calculation formula:`, altCritFormula);
-      
-      // Create and roll the alternative damage
-      const DamageRoll = getDamageRollClass();
-      const roll = new DamageRoll(altCritFormula, actor.getRollData());
-      await roll.evaluate();
-      
-      // Build flavor text
-      let flavorText = `<strong>Alternative Critical Damage</strong><br>`;
-      if (isCriticalHit) {
-        flavorText += `<em>Roll once + add maximum die value</em><br>`;
-      } else {
-        flavorText += `<em>Normal damage (not a critical hit)</em><br>`;
-      }
-      flavorText += `<strong>${item.name}</strong><br>`;
-      flavorText += `<em>Note: Some modifiers may be missing without a prior damage roll</em>`;
-      
-      // Send the roll to chat
-      await ChatMessage.create({
-        user: game.user.id,
-        type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-        rolls: [roll],
-        speaker: ChatMessage.getSpeaker({ actor: actor }),
-        flavor: flavorText,
-        rollMode: game.settings.get("core", "rollMode"),
-      });
-      
-      console.log(`Alternative Critical Damage ${MODULE_VERSION} | Direct calculation damage sent to chat`);
-      return;
+
+    // Basic-save spells have no attack outcome; a critical failure doubles their damage
+    if (
+      !attackOutcome &&
+      isBasicSaveSpell(item) &&
+      game.settings.get("alternative-crit-damage", "basicSaveCrits")
+    ) {
+      isCriticalHit = true;
+      notes.push(game.i18n.localize("ALTCRIT.Chat.BasicSave"));
     }
-    
-    // Fall back to legacy method if we couldn't build synthetic data
-    console.log(`Alternative Critical Damage ${MODULE_VERSION} | Direct calculation failed, falling back to legacy method`);
-    await rollAlternativeCriticalDamageLegacy(item, actor, isCriticalHit);
-    
+
+    // Build damage roll using PF2e's DamageRoll structure
+    const result = await rollAlternativeCriticalDamageFromPF2eData(item, actor, isCriticalHit, message);
+    created.push(await sendAlternativeCriticalToChat(item, actor, isCriticalHit, result, notes, card));
   } catch (error) {
-    console.error(`Alternative Critical Damage ${MODULE_VERSION} | Error in direct calculation:`, error);
-    await rollAlternativeCriticalDamageLegacy(item, actor, isCriticalHit);
+    log.error("Error rolling alternative critical:", error);
+    ui.notifications.error(game.i18n.localize("ALTCRIT.Notifications.RollFailed"));
   }
+  return created.filter(Boolean);
 }
 
 /**
- * Create a dice formula with damage type and category
+ * Handle alternative critical damage for a critically failed saving throw
+ * Returns the created alt-crit messages
  */
-function createDamageFormula(num, die, mod, damageType, category = "") {
-  let formula = "";
+async function handleSaveAlternativeCritical(
+  saveMessage,
+  { triggeredBy = game.user.id, sourceMessageId = null } = {},
+) {
+  try {
+    const originUuid = getSaveOriginUuid(saveMessage);
+    const item = originUuid ? await fromUuid(originUuid) : null;
+    const originMessage = findSaveOriginMessage(saveMessage);
+    const actor = item?.actor ?? originMessage?.actor;
 
-  // Handle dice part
-  if (num && die) {
-    formula = `(${num}d${die}+${num * die}+${mod})`;
-  } else if (mod) {
-    formula = `${mod}`;
-  }
+    if (!item || !actor) {
+      ui.notifications.warn(
+        `Alternative Critical Damage ${MODULE_VERSION} | ${game.i18n.localize("ALTCRIT.Notifications.NoSaveOrigin")}`,
+      );
+      return [];
+    }
 
-  // Add damage category if present
-  if (category !== "") {
-    formula = `((${formula})[${category}])`;
-  }
+    log.info("Rolling alternative critical damage for a failed save");
 
-  // Add damage type
-  if (damageType) {
-    formula += `[${damageType}]`;
-  } else {
-    formula += `[untyped]`;
+    const result = await rollAlternativeCriticalDamageLegacy(item, actor, true, originMessage);
+    const created = await sendAlternativeCriticalToChat(
+      item,
+      actor,
+      true,
+      result,
+      [game.i18n.format("ALTCRIT.Chat.CriticalFailure", { name: getSaveTargetName(saveMessage) })],
+      { triggeredBy, sourceMessageId },
+    );
+    return created ? [created] : [];
+  } catch (error) {
+    log.error("Error rolling alternative critical for save:", error);
+    ui.notifications.error(game.i18n.localize("ALTCRIT.Notifications.RollFailed"));
+    return [];
   }
-
-  return formula;
 }
 
 /**
- * Create a standard dice formula (non-crit)
+ * Get PF2e DamageRoll class
  */
-function createStandardDamageFormula(num, die, mod, damageType, category = "") {
-  let formula = "";
-
-  // Handle dice part
-  if (num && die) {
-    formula = `(${num}d${die}+${mod})`;
-  } else if (mod) {
-    formula = `${mod}`;
-  }
-
-  // Add damage category if present
-  if (category !== "") {
-    formula = `((${formula})[${category}])`;
-  }
+function getDamageRollClass() {
+  return CONFIG.Dice.rolls.find((r) => r.name === "DamageRoll");
+}
 
-  // Add damage type
-  if (damageType) {
-    formula += `[${damageType}]`;
+/**
+ * Build the flavor header shared by all alternative critical chat cards
+ */
+function buildFlavorHeader(item, isCriticalHit, strategy = getActiveCritStrategy()) {
+  let flavorText = `<strong>${game.i18n.localize("ALTCRIT.Chat.Header")}</strong><br>`;
+  if (isCriticalHit) {
+    flavorText += `<em>${game.i18n.localize(strategy.hint)}</em><br>`;
   } else {
-    formula += `[untyped]`;
+    flavorText += `<em>${game.i18n.localize("ALTCRIT.Chat.NormalDamage")}</em><br>`;
   }
+  if (item) flavorText += `<strong>${item.name}</strong>`;
+  return flavorText;
+}
 
-  return formula;
+/**
+ * Note who asked for a roll that another user rolled for them
+ * Returns null when the clicking user rolled it themselves
+ */
+function describeTrigger(triggeredBy) {
+  if (!triggeredBy || triggeredBy === game.user.id) return null;
+  const name = game.users.get(triggeredBy)?.name ?? triggeredBy;
+  return game.i18n.format("ALTCRIT.Chat.RequestedBy", { name });
 }
 
 /**
- * Parse weapon damage including runes, traits, and special damage types
+ * Send prepared alternative critical rolls to chat
+ * result: { rolls, notes } from one of the calculation paths
+ * triggeredBy: id of the user who clicked, sourceMessageId: the card clicked on;
+ * both are stored on the alt-crit card. rollMode defaults to the user's roll mode
+ * Returns the created message, or null if there was nothing to send
  */
-function parseWeaponDamage(item, isCriticalHit) {
-  const system = item.system;
-  const damage = system.damage;
-  const splashDamage = system.splashDamage;
-  const bonusDamage = system.bonusDamage;
-  const runes = system.runes;
-  const traits = system.traits?.value || [];
+async function sendAlternativeCriticalToChat(
+  item,
+  actor,
+  isCriticalHit,
+  result,
+  notes = [],
+  { triggeredBy = game.user.id, sourceMessageId = null, rollMode = game.settings.get("core", "rollMode") } = {},
+) {
+  if (!result || result.rolls.length === 0) return null;
 
-  if (!damage) {
-    return null;
+  let flavorText = buildFlavorHeader(item, isCriticalHit, result.strategy);
+  const trigger = describeTrigger(triggeredBy);
+  for (const note of [...result.notes, ...notes, ...(trigger ? [trigger] : [])]) {
+    flavorText += `<br><em>${note}</em>`;
   }
 
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Weapon damage:`, damage);
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Weapon traits:`, traits);
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Weapon runes:`, runes);
-
-  // Handle main weapon damage
-  const dieType = damage.die ? damage.die.split("d")[1] : null;
-  if (damage.dice && dieType) {
-    // For PF2e weapon damage, calculate the proper formula with all components in one
-    let formula = "";
+  // Component breakdown and comparison with a standard crit
+  const content = result.components
+    ? await renderAlternativeCriticalCard({ item, isCriticalHit, ...result })
+    : undefined;
+
+  // Send the rolls to chat
+  const message = await ChatMessage.create({
+    user: game.user.id,
+    ...getRollMessageData(),
+    rolls: result.rolls,
+    speaker: ChatMessage.getSpeaker({ actor: actor }),
+    flavor: flavorText,
+    content,
+    rollMode,
+    flags: {
+      [MODULE_ID]: {
+        altCrit: true,
+        isCriticalHit,
+        itemUuid: item?.uuid ?? null,
+        path: result.path ?? null,
+        triggeredBy,
+        sourceMessageId,
+      },
+    },
+  });
 
-    // Get all modifiers from various sources - we'll handle them as one unit
-    let totalModifier = 0;
+  log.info("Alternative critical damage sent to chat");
+  return message;
+}
 
-    // Handle static modifiers (this is where strength and precision come from)
-    if (damage.modifier !== undefined) {
-      totalModifier += damage.modifier;
+/**
+ * Roll damage for every target of an attack and post one combined card
+ * Critical hits get alt-crit damage, hits get normal damage and misses get none
+ * Returns the created message, or null if there was nothing to send
+ */
+async function rollAlternativeCriticalForTargets(
+  item,
+  actor,
+  message,
+  targets,
+  { triggeredBy = game.user.id, sourceMessageId = null } = {},
+) {
+  const rolls = [];
+  const rollTargets = [];
+  const lines = [];
+  let anyCritical = false;
+  let path = null;
+
+  for (const target of targets) {
+    const label = OUTCOME_LABELS[target.outcome]
+      ? game.i18n.localize(OUTCOME_LABELS[target.outcome])
+      : target.outcome ?? game.i18n.localize("ALTCRIT.Outcomes.Unknown");
+    if (target.outcome !== "criticalSuccess" && target.outcome !== "success") {
+      const text = game.i18n.format("ALTCRIT.Chat.TargetNoDamage", { outcome: label });
+      lines.push(`<li><strong>${target.name}</strong>: ${text}</li>`);
+      continue;
     }
 
-    // Handle bonus damage modifiers (if any)
-    if (bonusDamage && bonusDamage.value) {
-      totalModifier += bonusDamage.value;
-    }
+    const isCriticalHit = target.outcome === "criticalSuccess";
+    anyCritical ||= isCriticalHit;
+    const result = await rollAlternativeCriticalDamageFromPF2eData(item, actor, isCriticalHit, message);
+    if (!result) continue;
+    path ??= result.path;
+
+    const total = result.rolls.reduce((sum, roll) => sum + roll.total, 0);
+    rolls.push(...result.rolls);
+    rollTargets.push(...result.rolls.map(() => target.tokenUuid));
+    const text = game.i18n.format("ALTCRIT.Chat.TargetDamage", { outcome: label, total });
+    lines.push(`<li><strong>${target.name}</strong>: ${text}</li>`);
+  }
 
-    // Handle persistent damage modifiers (if any)
-    if (damage.persistent && damage.persistent.number) {
-      totalModifier += damage.persistent.number;
-    }
+  if (rolls.length === 0 && lines.length === 0) return null;
+
+  let flavorText = buildFlavorHeader(item, anyCritical, resolveOverrides(actor, item).strategy);
+  flavorText += `<ul class="alternative-critical-targets">${lines.join("")}</ul>`;
+  const trigger = describeTrigger(triggeredBy);
+  if (trigger) flavorText += `<em>${trigger}</em>`;
+
+  const created = await ChatMessage.create({
+    user: game.user.id,
+    ...getRollMessageData(),
+    rolls,
+    speaker: ChatMessage.getSpeaker({ actor: actor }),
+    flavor: flavorText,
+    rollMode: game.settings.get("core", "rollMode"),
+    flags: {
+      [MODULE_ID]: {
+        altCrit: true,
+        isCriticalHit: anyCritical,
+        itemUuid: item.uuid,
+        rollTargets,
+        path,
+        triggeredBy,
+        sourceMessageId,
+      },
+    },
+  });
 
-    // Handle splash damage modifiers (if any)
-    if (splashDamage && splashDamage.value) {
-      totalModifier += splashDamage.value;
-    }
+  log.info("Multi-target alternative critical damage sent to chat");
+  return created;
+}
 
-    // Handle PF2e-specific damage modifiers that may not be in simple fields
-    // Try to capture all potential bonus sources from the weapon system
-    if (item.system) {
-      const weaponSystem = item.system;
-
-      // Look for various bonus fields that might contain damage modifiers
-      if (
-        typeof weaponSystem.bonus === "object" &&
-        weaponSystem.bonus !== null
-      ) {
-        // Handle flat damage bonuses in the bonus object
-        if (typeof weaponSystem.bonus.damage === "number") {
-          totalModifier += weaponSystem.bonus.damage;
-        }
+/**
+ * Choose the damage data an alternative critical is built from
+ * Returns { path, damageData, captured } where path is "captured" (a prior
+ * damage roll), "strike" (the actor's strike), "direct" (a synthetic structure
+ * built from the item) or "legacy" (the item parsers, damageData is null)
+ */
+async function selectDamageSource(item, actor, isCriticalHit, attackMessage = null) {
+  // Spells are built from their partitions at the cast rank, not from strike data
+  if (item.type === "spell") return { path: "legacy", damageData: null, captured: null };
 
-        // Handle any bonus modifiers in the bonus object
-        if (typeof weaponSystem.bonus.flat === "number") {
-          totalModifier += weaponSystem.bonus.flat;
-        }
-      }
+  // Check if we have captured damage roll data for this strike
+  const captured = getCapturedDamage(attackMessage, actor, item);
+  log.debug("Captured damage data:", captured);
+  if (captured?.damageData) return { path: "captured", damageData: captured.damageData, captured };
 
-      // Look for flat damage bonuses in the system structure
-      if (typeof weaponSystem.flatDamageBonus === "number") {
-        totalModifier += weaponSystem.flatDamageBonus;
-      }
+  // No captured damage, ask the actor's strike for its fully resolved damage
+  const strikeDamageData = await getStrikeDamageData(item, actor, isCriticalHit, attackMessage);
+  if (strikeDamageData) return { path: "strike", damageData: strikeDamageData, captured: null };
 
-      // Look for damage bonuses in the main damage object
-      if (
-        typeof weaponSystem.damage === "object" &&
-        weaponSystem.damage.bonus !== undefined
-      ) {
-        totalModifier += weaponSystem.damage.bonus;
-      }
+  // No strike available, try to calculate damage modifiers directly
+  const syntheticDamageData = buildSyntheticDamageData(item, actor);
+  if (syntheticDamageData) return { path: "direct", damageData: syntheticDamageData, captured: null };
 
-      // Look for bonus damage in the system structure
-      if (
-        typeof weaponSystem.bonusDamage === "object" &&
-        weaponSystem.bonusDamage.value !== undefined
-      ) {
-        totalModifier += weaponSystem.bonusDamage.value;
-      }
+  return { path: "legacy", damageData: null, captured: null };
+}
 
-      // Handle weapon-specific bonus that might not be in standard fields
-      if (typeof weaponSystem.bonus === "number") {
-        totalModifier += weaponSystem.bonus;
-      }
+/**
+ * Roll alternative critical damage using the best available damage data
+ * Returns { rolls, notes, path, ... } without posting, or null if no damage could be built
+ */
+async function rollAlternativeCriticalDamageFromPF2eData(item, actor, isCriticalHit, attackMessage = null) {
+  log.debug("Getting PF2e damage data for:", item.name);
 
-      // Handle bonus from the item's system object directly (this could be the +1 in our case)
-      if (typeof item.system.bonus === "number") {
-        totalModifier += item.system.bonus;
-      }
+  let path = "legacy";
+  let result;
+  try {
+    const source = await selectDamageSource(item, actor, isCriticalHit, attackMessage);
+    path = source.path;
+    log.info(`Using the ${path} calculation path`);
 
-      // Handle any numeric bonus in the root system object
-      if (typeof item.system === "object" && item.system.bonus !== undefined) {
-        if (typeof item.system.bonus === "number") {
-          totalModifier += item.system.bonus;
-        }
-      }
+    if (path === "legacy") {
+      result = await rollAlternativeCriticalDamageLegacy(item, actor, isCriticalHit, attackMessage);
+    } else {
+      result = await rollAlternativeCriticalFromDamageData(source.damageData, actor, isCriticalHit, item);
+      if (path === "direct") result?.notes.push(game.i18n.localize("ALTCRIT.Chat.MissingModifiers"));
     }
+  } catch (error) {
+    log.error("Error in PF2e damage calculation:", error);
+    path = "legacy";
+    result = await rollAlternativeCriticalDamageLegacy(item, actor, isCriticalHit, attackMessage);
+  }
 
-    // Handle any modifiers that might be in the item's damage structure directly
-    if (item.system && item.system.damage) {
-      const weaponDamage = item.system.damage;
-      if (typeof weaponDamage === "object") {
-        // Look for any additional numeric modifiers that might not be captured elsewhere
-        if (
-          weaponDamage.modifier !== undefined &&
-          weaponDamage.modifier !== null
-        ) {
-          totalModifier += weaponDamage.modifier;
-        }
-      }
-    }
+  if (result) result.path = path;
+  return result;
+}
 
-    // Handle additional potential sources of damage modifiers specific to PF2E
-    // Look for damage bonuses in the weapon's properties or traits that might not be in standard fields
-    if (item.system && item.system.properties) {
-      const properties = item.system.properties;
-      if (Array.isArray(properties)) {
-        // Check for any damage bonus properties
-        properties.forEach((property) => {
-          if (typeof property === "object" && property.bonus) {
-            totalModifier += property.bonus;
-          }
-        });
-      }
-    }
+/**
+ * Roll and post the alternative critical that replaces a system critical damage roll
+ * Spells are read at their cast rank like a button click; the card keeps the
+ * roll mode of the message it replaces. Like a button click, the result is
+ * linked to the attack card, and an attack that already has one is not rolled again
+ */
+async function rollAutomaticAlternativeCritical(item, actor, damageData, damageMessage, rollMode) {
+  const attackMessage = findOriginAttackMessage(damageMessage);
+  const link = getLinkedResult(attackMessage);
+  if (link) {
+    showLinkedResult(link);
+    return;
+  }
+  if (attackMessage && pendingRolls.has(attackMessage.id)) return;
 
-    // Handle potential bonus in item's system that might not be in standard fields
-    if (item.system && typeof item.system.bonus === "number") {
-      totalModifier += item.system.bonus;
-    }
+  if (attackMessage) pendingRolls.add(attackMessage.id);
+  try {
+    const useDamageData = !!damageData?.base && item?.type !== "spell";
+    const result = useDamageData
+      ? await rollAlternativeCriticalFromDamageData(damageData, actor, true, item)
+      : await rollAlternativeCriticalDamageLegacy(item, actor, true, damageMessage);
+    if (result) result.path = useDamageData ? "captured" : "legacy";
+
+    const created = await sendAlternativeCriticalToChat(
+      item,
+      actor,
+      true,
+      result,
+      [game.i18n.localize("ALTCRIT.Chat.Automatic")],
+      { rollMode, sourceMessageId: attackMessage?.id ?? null },
+    );
+    if (created && attackMessage) await saveResultLink(attackMessage, [created]);
+  } finally {
+    if (attackMessage) pendingRolls.delete(attackMessage.id);
+  }
+}
 
-    // For critical hits, create a single proper damage formula that includes:
-    // 1. All weapon dice (base + runes)
-    // 2. Max die value for all dice
-    // 3. All modifiers (including runes and traits)
-    if (isCriticalHit) {
-      // Calculate total dice: base dice + any runes that add additional dice
-      let totalDice = damage.dice;
-
-      // Add striking runes to the total dice count (they add additional dice)
-      if (runes && typeof runes.striking === "number" && runes.striking > 0) {
-        console.log(
-          `Alternative Critical Damage ${MODULE_VERSION} | Adding runes to total dice:`,
-          runes.striking,
-        );
-        totalDice += runes.striking;
-      }
+/**
+ * Get the roll mode a chat message is created with
+ * Foundry has already turned it into whisper and blind when the create hooks run
+ */
+function getMessageRollMode(message, options = {}) {
+  if (options.rollMode) return options.rollMode;
+  if (message.blind) return "blindroll";
+  const whisper = message.whisper ?? [];
+  if (whisper.length === 0) return "publicroll";
+  const authorId = message.author?.id ?? message.user?.id ?? message.user;
+  return whisper.length === 1 && whisper[0] === authorId ? "selfroll" : "gmroll";
+}
 
-      // Create the main damage formula with all components in one proper PF2e format
-      const maxDieValue = totalDice * parseInt(dieType);
-      formula = createDamageFormula(
-        totalDice,
-        dieType,
-        totalModifier,
-        damage.damageType || "untyped",
-        "",
-      );
+/**
+ * Roll damage components as one DamageRoll
+ * Every calculation path ends here, so the preAltCrit hook can change the
+ * components before they are serialized and altCrit sees the evaluated roll.
+ * Returns { rolls, notes, components, formula, strategy, overrides }, or null if cancelled or empty
+ */
+async function rollDamageComponents(components, actor, isCriticalHit, { item = null, damageData = null } = {}) {
+  // Actor and item overrides can choose their own crit strategy
+  const overrides = resolveOverrides(actor, item);
+  const context = { item, actor, isCriticalHit, components, damageData, strategy: overrides.strategy };
+  if (Hooks.call("preAltCrit", context) === false) {
+    log.info("Roll cancelled by a preAltCrit hook");
+    return null;
+  }
 
-      // For deadly weapons, the extra damage is handled by the PF2e system
-      // Our formula above should include all dice and modifiers properly
-    } else {
-      // Create normal damage formula (no crit modification)
-      const maxDieValue = damage.dice * parseInt(dieType);
-      formula = createStandardDamageFormula(
-        damage.dice,
-        dieType,
-        totalModifier,
-        damage.damageType || "untyped",
-        "",
-      );
-    }
+  const { strategy } = context;
+  const serializeOptions = { strategy, lockedDice: isLockedDiceEnabled() };
+  const once = await rollOnceComponents(context.components, isCriticalHit, serializeOptions);
+  const formula = serializeDamageFormula(once.components, isCriticalHit, serializeOptions);
+  if (!formula) return null;
+  log.debug("Alternative formula:", formula);
+
+  // Use PF2e DamageRoll if available, otherwise fall back to regular Roll
+  const RollClass = getDamageRollClass() ?? Roll;
+  const { roll, discarded } = await evaluateCritRoll(
+    () => new RollClass(formula, actor.getRollData()),
+    isCriticalHit ? strategy : null,
+  );
+  applyLockedDiceAppearance(roll);
 
-    // Return just the single formula to avoid creating multiple separate rolls
-    return formula || null;
+  const notes = [];
+  if (discarded) {
+    notes.push(game.i18n.format("ALTCRIT.Chat.KeptHigher", { kept: roll.total, discarded: discarded.total }));
+  }
+  if (once.rolls.length > 0) {
+    notes.push(game.i18n.format("ALTCRIT.Chat.RolledOnce", { rolls: describeOnceRolls(once.rolls) }));
   }
 
-  return null;
+  Hooks.callAll("altCrit", { ...context, components: context.components, formula, roll });
+  return { rolls: [roll], notes, components: context.components, formula, strategy, overrides };
 }
 
 /**
- * Parse spell damage
+ * Roll alternative critical damage from a PF2e damage structure
+ * Returns { rolls, notes }, or null if no damage was rolled
  */
-function parseSpellDamage(item, isCriticalHit) {
-  const damage = item.system.damage;
-  const formulaParts = [];
+async function rollAlternativeCriticalFromDamageData(damageData, actor, isCriticalHit, item = null) {
+  const components = parseDamageData(damageData, isCriticalHit, item);
+  const result = await rollDamageComponents(components, actor, isCriticalHit, { item, damageData });
+  if (!result) return null;
+
+  const fatalDieSize = getFatalDieSize(damageData, isCriticalHit);
+  if (fatalDieSize) {
+    result.notes.push(game.i18n.format("ALTCRIT.Chat.Fatal", { die: fatalDieSize }));
+  }
 
-  if (
-    !damage ||
-    typeof damage !== "object" ||
-    Object.keys(damage).length === 0
-  ) {
-    return null;
+  return result;
+}
+
+/**
+ * Build a synthetic PF2e damage structure from the item without needing a prior roll
+ * Returns null when the item has no base weapon damage
+ */
+function buildSyntheticDamageData(item, actor) {
+  // Build a synthetic damage structure based on what we can determine
+  const syntheticDamageData = {
+    base: [],
+    modifiers: [],
+    dice: []
+  };
+  
+  // Get base weapon damage; like PF2e, the prepared base dice include the
+  // striking rune's dice, which parseDamageData splits out again
+  const baseDamage = item.system.damage;
+  const striking = item.type === "weapon" ? getStrikingDice(item) : 0;
+  if (baseDamage && baseDamage.dice && baseDamage.die) {
+    syntheticDamageData.base.push({
+      diceNumber: baseDamage.dice,
+      dieSize: baseDamage.die,
+      modifier: baseDamage.modifier || 0,
+      damageType: baseDamage.damageType || 'untyped'
+    });
+    log.debug("Added base damage:", syntheticDamageData.base[0]);
+  }
+  
+  // Try to get strength modifier for melee weapons
+  if (item.type === "weapon" && item.system.category !== "unarmed" && actor) {
+    const strMod = actor.system?.abilities?.str?.mod || 0;
+    if (strMod > 0) {
+      syntheticDamageData.modifiers.push({
+        enabled: true,
+        ignored: false,
+        modifier: strMod,
+        damageCategory: null,
+        damageType: null
+      });
+      log.debug("Added strength modifier:", strMod);
+    }
+  }
+  
+  // Weapon specialization and other flat bonuses come from the strike pipeline
+  // (getStrikeDamageData), which is tried before this synthetic fallback
+
+  // The item's own bonus damage, flat and/or dice
+  const bonusDamage = item.system.bonusDamage;
+  const bonusLabel = game.i18n.localize("ALTCRIT.Sources.bonus");
+  if (bonusDamage?.value) {
+    syntheticDamageData.modifiers.push({
+      enabled: true,
+      ignored: false,
+      label: bonusLabel,
+      modifier: bonusDamage.value,
+      damageCategory: null,
+      damageType: null
+    });
+  }
+  if (bonusDamage?.dice && bonusDamage.die) {
+    syntheticDamageData.dice.push({
+      slug: "bonus",
+      label: bonusLabel,
+      enabled: true,
+      ignored: false,
+      critical: null,
+      diceNumber: bonusDamage.dice,
+      dieSize: bonusDamage.die,
+      damageType: null,
+      category: null
+    });
   }
 
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Spell damage:`, damage);
-
-  // Handle spell damage instances
-  for (const [key, damageInstance] of Object.entries(damage)) {
-    if (damageInstance && damageInstance.damage) {
-      // Try to parse the damage formula
-      try {
-        const roll = new Roll(damageInstance.damage);
-        for (const term of roll.terms) {
-          if (term instanceof foundry.dice.terms.DiceTerm) {
-            const dieType = term.faces;
-            const numDice = term.number;
-            if (isCriticalHit) {
-              formulaParts.push(
-                createDamageFormula(
-                  numDice,
-                  dieType,
-                  0,
-                  damageInstance.type || "untyped",
-                  "",
-                ),
-              );
-            } else {
-              formulaParts.push(
-                createStandardDamageFormula(
-                  numDice,
-                  dieType,
-                  0,
-                  damageInstance.type || "untyped",
-                  "",
-                ),
-              );
-            }
-          } else if (term instanceof foundry.dice.terms.NumericTerm) {
-            // Handle static modifiers in spells
-            const modifier = term.number;
-            if (modifier !== 0) {
-              if (
-                isCriticalHit &&
-                game.settings.get("alternative-crit-damage", "doubleStatic")
-              ) {
-                formulaParts.push(
-                  createDamageFormula(
-                    0,
-                    1,
-                    modifier * 2,
-                    damageInstance.type || "untyped",
-                    "",
-                  ),
-                );
-              } else {
-                formulaParts.push(
-                  createStandardDamageFormula(
-                    0,
-                    1,
-                    modifier,
-                    damageInstance.type || "untyped",
-                    "",
-                  ),
-                );
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.warn(
-          `Alternative Critical Damage ${MODULE_VERSION} | Could not parse spell damage formula:`,
-          damageInstance.damage,
-          error,
-        );
-        // Fall back to simple handling
-        if (isCriticalHit) {
-          formulaParts.push(
-            createDamageFormula(1, 6, 0, damageInstance.type || "untyped", ""),
-          );
-        } else {
-          formulaParts.push(
-            createStandardDamageFormula(
-              1,
-              6,
-              0,
-              damageInstance.type || "untyped",
-              "",
-            ),
-          );
-        }
-      }
+  // Property runes and their crit riders
+  syntheticDamageData.dice.push(...getPropertyRuneDice(item));
+  
+  // Handle weapon traits like deadly and fatal
+  const traits = item.system.traits?.value || [];
+  for (const trait of traits) {
+    if (trait.startsWith('fatal-')) {
+      // Fatal aim only applies while the weapon is held in two hands
+      const isFatalAim = trait.startsWith('fatal-aim-');
+      if (isFatalAim && item.system.equipped?.handsHeld !== 2) continue;
+
+      // Upgrade the weapon dice and add one extra die of the fatal size
+      const fatalDie = trait.replace(isFatalAim ? 'fatal-aim-' : 'fatal-', '');
+      syntheticDamageData.dice.push({
+        enabled: true,
+        ignored: false,
+        critical: true,
+        diceNumber: 1,
+        dieSize: fatalDie,
+        override: { dieSize: fatalDie },
+        damageType: baseDamage.damageType || 'untyped',
+        category: null
+      });
+      log.debug("Added fatal trait:", trait);
+    } else if (trait.startsWith('deadly-')) {
+      // One die, two with greater striking and three with major striking
+      const deadlyDie = trait.replace('deadly-', '');
+      syntheticDamageData.dice.push({
+        enabled: true,
+        ignored: false,
+        critical: true,
+        diceNumber: striking >= 2 ? striking : 1,
+        dieSize: deadlyDie,
+        damageType: baseDamage.damageType || 'untyped',
+        category: null
+      });
+      log.debug("Added deadly trait:", trait);
     }
   }
 
-  return formulaParts.length > 0 ? formulaParts.join(",") : null;
+  return syntheticDamageData.base.length > 0 ? syntheticDamageData : null;
 }
 
 /**
  * Roll alternative critical damage with enhanced parsing (Legacy method)
+ * Returns { rolls, notes }, or null if no damage formula was found
  */
 async function rollAlternativeCriticalDamageLegacy(
   item,
   actor,
   isCriticalHit = true,
+  message = null,
 ) {
-  console.log(
-    `Alternative Critical Damage ${MODULE_VERSION} | Item:`,
-    item.name,
-    `Type:`,
-    item.type,
-  );
+  log.debug("Item:", item.name, "Type:", item.type);
 
-  let damageFormula = null;
+  const castRank = item.type === "spell" ? getSpellCastRank(item, message) : null;
+  const components = parseItemDamage(item, isCriticalHit, { message });
 
-  // Parse damage based on item type
-  if (item.type === "weapon") {
-    damageFormula = parseWeaponDamage(item, isCriticalHit);
-  } else if (item.type === "spell") {
-    damageFormula = parseSpellDamage(item, isCriticalHit);
-  } else {
-    // Fallback to old parsing method for other item types
-    const baseDamage = item.system.damage;
-    if (baseDamage && baseDamage.dice && baseDamage.die) {
-      const dieType = baseDamage.die.split("d")[1];
-      const modifier = baseDamage.modifier || 0;
-      if (isCriticalHit) {
-        damageFormula = createDamageFormula(
-          baseDamage.dice,
-          dieType,
-          modifier,
-          baseDamage.damageType || "untyped",
-          "",
-        );
-      } else {
-        damageFormula = createStandardDamageFormula(
-          baseDamage.dice,
-          dieType,
-          modifier,
-          baseDamage.damageType || "untyped",
-          "",
-        );
-      }
-    }
+  if (!components || components.length === 0) {
+    ui.notifications.warn(game.i18n.format("ALTCRIT.Notifications.NoDamageFormula", { type: item.type }));
+    log.debug("Item system structure:", item.system);
+    return null;
   }
 
-  if (!damageFormula) {
-    ui.notifications.warn(`No damage formula found for this ${item.type}`);
-    console.log(
-      `Alternative Critical Damage ${MODULE_VERSION} | Item system structure:`,
-      item.system,
-    );
-    return;
-  }
+  log.debug("Damage components:", components);
 
-  console.log(`Alternative Critical Damage ${MODULE_VERSION} | Final Formula:`, damageFormula);
+  try {
+    const result = await rollDamageComponents(components, actor, isCriticalHit, { item });
+    if (result) result.path = "legacy";
+    if (result && castRank) result.notes.push(game.i18n.format("ALTCRIT.Chat.Rank", { rank: castRank }));
+    return result;
+  } catch (error) {
+    log.error("Error creating damage roll:", error);
+    ui.notifications.error(game.i18n.localize("ALTCRIT.Notifications.CreateRollFailed"));
+    return null;
+  }
+}
 
-  // Use PF2e DamageRoll if available, otherwise fall back to regular Roll
-  const DamageRoll = getDamageRollClass();
+/**
+ * Build a diagnostic report for an attack card or an alt-crit card
+ * The calculation path is chosen the same way the Alt Crit button chooses it;
+ * alt-crit cards also report the path and formulas they were rolled with.
+ * Returns null when the message has no item and actor
+ */
+async function generateDiagnosticReport(message) {
+  const flags = message?.flags?.[MODULE_ID];
+  const isAltCritCard = !!flags?.altCrit;
+  const item = isAltCritCard ? (flags.itemUuid ? await fromUuid(flags.itemUuid) : null) : message?.item;
+  const actor = message?.actor ?? item?.actor ?? null;
+  if (!item || !actor) return null;
+
+  const attackMessage = isAltCritCard ? null : message;
+  const outcome = isAltCritCard
+    ? null
+    : getTargetOutcomes(message).find((target) => target.messageId === message.id)?.outcome ??
+      message.flags?.pf2e?.context?.outcome;
+  const isCriticalHit = isAltCritCard ? !!flags.isCriticalHit : outcome === "criticalSuccess";
+  const overrides = resolveOverrides(actor, item);
+  const details = { item, actor, message, isCriticalHit, overrides };
+
+  if (isAltCritCard) {
+    details.rolled = { path: flags.path ?? null, formulas: (message.rolls ?? []).map((roll) => roll.formula) };
+  }
 
   try {
-    // Create multiple rolls for each damage component
-    const formulaParts = damageFormula.split(",");
-    const rolls = await Promise.all(
-      formulaParts.map((formula) => {
-        if (DamageRoll) {
-          return new DamageRoll(formula, actor.getRollData()).roll();
-        } else {
-          return new Roll(formula, actor.getRollData()).evaluate();
-        }
-      }),
-    );
-
-    // Build flavor text
-    let flavorText = `<strong>Alternative Critical Damage</strong><br>`;
-    if (isCriticalHit) {
-      flavorText += `<em>Roll once + add maximum die value</em><br>`;
-    } else {
-      flavorText += `<em>Normal damage (not a critical hit)</em><br>`;
-    }
-    flavorText += `<strong>${item.name}</strong>`;
-
-    // Send the rolls to chat
-    await ChatMessage.create({
-      user: game.user.id,
-      type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-      rolls: rolls,
-      speaker: ChatMessage.getSpeaker({ actor: actor }),
-      flavor: flavorText,
-      rollMode: game.settings.get("core", "rollMode"),
+    const source = await selectDamageSource(item, actor, isCriticalHit, attackMessage);
+    const components = source.damageData
+      ? parseDamageData(source.damageData, isCriticalHit, item)
+      : parseItemDamage(item, isCriticalHit, { message: attackMessage }) ?? [];
+    Object.assign(details, source, {
+      components,
+      formula: serializeDamageFormula(components, isCriticalHit, { strategy: overrides.strategy }),
     });
-
-    console.log(`Alternative Critical Damage ${MODULE_VERSION} | Roll sent to chat`);
   } catch (error) {
-    console.error(
-      `Alternative Critical Damage ${MODULE_VERSION} | Error creating damage roll:`,
-      error,
-    );
-    ui.notifications.error("Failed to create alternative critical damage roll");
+    log.error("Error building diagnostic report:", error);
+    details.error = error.message;
   }
+
+  return buildDiagnosticReport(details);
 }
 
-console.log(`Alternative Critical Damage ${MODULE_VERSION} | Module loaded`);
+/**
+ * Check whether an API source is a PF2e damage structure rather than an item
+ */
+function isDamageData(source) {
+  return Array.isArray(source?.base);
+}
+
+/**
+ * Get the damage components of an item or a PF2e damage structure
+ * Pass the weapon as item with a damage structure to split out striking dice
+ */
+function getComponents(source, { isCriticalHit = true, message = null, item = null } = {}) {
+  if (isDamageData(source)) return parseDamageData(source, isCriticalHit, item);
+  return parseItemDamage(source, isCriticalHit, { message }) ?? [];
+}
+
+/**
+ * Calculate the alternative critical formula of an item or PF2e damage structure without rolling
+ */
+function calculateFormula(source, { isCriticalHit = true, message = null, item = null } = {}) {
+  const damageItem = isDamageData(source) ? item : source;
+  const { strategy } = resolveOverrides(damageItem?.actor, damageItem);
+  return serializeDamageFormula(getComponents(source, { isCriticalHit, message, item }), isCriticalHit, {
+    strategy,
+  });
+}
+
+/**
+ * Roll alternative critical damage for an item or PF2e damage structure
+ * Posts an alt-crit card unless createMessage is false
+ * Returns { rolls, notes, components, formula }, or null if nothing was rolled
+ */
+async function rollAlternativeCritical(
+  source,
+  { actor = null, item = null, isCriticalHit = true, message = null, createMessage = true, notes = [] } = {},
+) {
+  const damageItem = isDamageData(source) ? item : source;
+  const rollActor = actor ?? damageItem?.actor;
+  if (!rollActor) {
+    throw new Error("An actor is required to roll alternative critical damage");
+  }
+
+  const result = isDamageData(source)
+    ? await rollAlternativeCriticalFromDamageData(source, rollActor, isCriticalHit, damageItem)
+    : await rollAlternativeCriticalDamageLegacy(damageItem, rollActor, isCriticalHit, message);
+
+  if (result && createMessage) {
+    await sendAlternativeCriticalToChat(damageItem, rollActor, isCriticalHit, result, notes);
+  }
+  return result;
+}
+
+/**
+ * Public API, available as game.modules.get("alternative-crit-damage").api
+ */
+const api = {
+  getComponents,
+  calculateFormula,
+  roll: rollAlternativeCritical,
+  rollForMessage: handleAlternativeCritical,
+  registerComponentParser,
+  unregisterComponentParser,
+  registerCritStrategy,
+  getActiveCritStrategy,
+  resolveOverrides,
+  canRollAltCrit,
+  openDamageAnalysis,
+  generateDiagnosticReport,
+  createDamageComponent,
+  serializeDamageFormula,
+};
+
+// Pure calculation functions, exported for the test suite
+export {
+  api,
+  rollAlternativeCriticalDamageFromPF2eData,
+  rollAlternativeCriticalDamageLegacy,
+  rollAlternativeCriticalFromDamageData,
+};
+
+log.info("Module loaded");
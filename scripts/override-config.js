@@ -0,0 +1,70 @@
+/**
+ * Override Settings Window
+ * Opened from the Alt Crit header button on actor and item sheets. Edits the
+ * document's override flag and shows how the overrides resolve for it.
+ */
+
+import { getApplicationBase, requireApplicationV2 } from "./compat.js";
+import { MODULE_ID } from "./constants.js";
+import { OVERRIDE_MODES, describeResolution, getOverrideFlag, resolveOverrides, setOverrideFlag } from "./overrides.js";
+import { getCritStrategyChoices } from "./strategies.js";
+
+export class OverrideConfig extends getApplicationBase() {
+  constructor({ document, ...options } = {}) {
+    super(options);
+    this.document = document;
+  }
+
+  static DEFAULT_OPTIONS = {
+    tag: "form",
+    classes: ["alternative-crit-override"],
+    window: {
+      icon: "fas fa-dice-d20",
+    },
+    position: { width: 420, height: "auto" },
+    form: {
+      handler: OverrideConfig.#onSubmit,
+      closeOnSubmit: true,
+    },
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/override-config.hbs` },
+  };
+
+  get title() {
+    return game.i18n.format("ALTCRIT.Overrides.Title", { name: this.document.name });
+  }
+
+  async _prepareContext(options) {
+    const override = getOverrideFlag(this.document) ?? { mode: "default", strategy: "" };
+    const isItem = this.document.documentName === "Item";
+    const resolution = isItem
+      ? resolveOverrides(this.document.actor, this.document)
+      : resolveOverrides(this.document, null);
+
+    return {
+      mode: override.mode,
+      strategy: override.strategy,
+      modeOptions: OVERRIDE_MODES,
+      strategyOptions: { "": "ALTCRIT.Overrides.Modes.default", ...getCritStrategyChoices() },
+      resolution: describeResolution(resolution),
+      isItem,
+    };
+  }
+
+  static async #onSubmit(event, form, formData) {
+    await setOverrideFlag(this.document, {
+      mode: formData.object.mode,
+      strategy: formData.object.strategy,
+    });
+  }
+}
+
+/**
+ * Open the override window for an actor or item
+ */
+export function openOverrideConfig(document) {
+  if (!requireApplicationV2()) return null;
+  return new OverrideConfig({ document }).render(true);
+}
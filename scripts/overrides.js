@@ -0,0 +1,161 @@
+/**
+ * Per-Actor and Per-Item Overrides
+ * Actors and items can opt in to or out of alternative crits, or choose their
+ * own crit strategy, with a module flag or an `AltCritOverride` rule element.
+ *
+ * Overrides are applied in order, each later layer winning over the earlier:
+ * world settings → actor rule elements → actor flag → item rule elements → item flag
+ *
+ * An override is { mode, strategy }:
+ * - mode: "default" (keep the earlier layer), "optIn" or "optOut"
+ * - strategy: a crit strategy id, or "" to keep the earlier layer
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { getCritStrategy } from "./strategies.js";
+
+export const OVERRIDE_RULE_KEY = "AltCritOverride";
+
+// Override modes with their localization keys
+export const OVERRIDE_MODES = {
+  default: "ALTCRIT.Overrides.Modes.default",
+  optIn: "ALTCRIT.Overrides.Modes.optIn",
+  optOut: "ALTCRIT.Overrides.Modes.optOut",
+};
+
+// Item types whose rule elements only affect their own damage
+const DAMAGE_ITEM_TYPES = new Set(["weapon", "spell", "consumable", "melee"]);
+
+/**
+ * Create the AltCritOverride rule element class from PF2e's RuleElement base
+ * Rule elements take the same mode and strategy as the flags, plus a predicate
+ */
+export function createOverrideRuleElement(RuleElement) {
+  const fields = foundry.data.fields;
+  return class AltCritOverrideRuleElement extends RuleElement {
+    static defineSchema() {
+      return {
+        ...super.defineSchema(),
+        mode: new fields.StringField({
+          required: false,
+          nullable: false,
+          choices: Object.keys(OVERRIDE_MODES),
+          initial: "default",
+        }),
+        strategy: new fields.StringField({ required: false, nullable: false, blank: true, initial: "" }),
+      };
+    }
+  };
+}
+
+/**
+ * Register the AltCritOverride rule element with the PF2e system
+ */
+export function registerOverrideRuleElement() {
+  const RuleElement = game.pf2e?.RuleElement;
+  const custom = game.pf2e?.RuleElements?.custom;
+  if (!RuleElement || !custom) return false;
+
+  custom[OVERRIDE_RULE_KEY] = createOverrideRuleElement(RuleElement);
+  return true;
+}
+
+/**
+ * Get the override flag of an actor or item, or null if it has none
+ */
+export function getOverrideFlag(document) {
+  const override = document?.flags?.[MODULE_ID]?.override;
+  return override ? { mode: override.mode || "default", strategy: override.strategy || "" } : null;
+}
+
+/**
+ * Save an override flag, removing it when it changes nothing
+ */
+export async function setOverrideFlag(document, { mode = "default", strategy = "" } = {}) {
+  if (mode === "default" && !strategy) {
+    return document.unsetFlag(MODULE_ID, "override");
+  }
+  return document.setFlag(MODULE_ID, "override", { mode, strategy });
+}
+
+/**
+ * Get the actor's active AltCritOverride rule elements for a roll
+ * Rule elements on a weapon or spell only apply to that item's damage
+ */
+function getOverrideRules(actor, item) {
+  const rollOptions = item?.getRollOptions?.("item") ?? [];
+  const rules = (actor?.rules ?? []).filter(
+    (rule) => rule.key === OVERRIDE_RULE_KEY && !rule.ignored && (rule.test?.(rollOptions) ?? true),
+  );
+
+  const isItemRule = (rule) => item && rule.item?.id === item.id;
+  return {
+    actorRules: rules.filter((rule) => !isItemRule(rule) && !DAMAGE_ITEM_TYPES.has(rule.item?.type)),
+    itemRules: rules.filter(isItemRule),
+  };
+}
+
+/**
+ * Resolve whether alternative crits apply to an actor's item and which strategy they use
+ * Returns { enabled, strategy, steps } where steps lists every layer that
+ * changed something, starting with the world settings
+ */
+export function resolveOverrides(actor = null, item = null) {
+  actor ??= item?.actor ?? null;
+  let enabled = true;
+  let strategyId = null;
+  try {
+    enabled = game.settings.get("alternative-crit-damage", "enabled");
+    strategyId = game.settings.get("alternative-crit-damage", "critStrategy");
+  } catch (error) {
+    // Settings not registered yet (e.g. called before init)
+  }
+
+  const steps = [
+    { source: game.i18n.localize("ALTCRIT.Overrides.Steps.World"), enabled, strategy: getCritStrategy(strategyId).id },
+  ];
+  const apply = (source, override) => {
+    if (!override) return;
+    const mode = override.mode || "default";
+    const strategy = override.strategy || "";
+    if (mode === "default" && !strategy) return;
+
+    if (mode !== "default") enabled = mode === "optIn";
+    if (strategy) strategyId = strategy;
+    steps.push({ source, enabled, strategy: getCritStrategy(strategyId).id, mode, override: strategy });
+  };
+
+  const label = (key, name) => game.i18n.format(`ALTCRIT.Overrides.Steps.${key}`, { name });
+  const { actorRules, itemRules } = getOverrideRules(actor, item);
+  for (const rule of actorRules) apply(label("RuleElement", rule.label ?? rule.item?.name), rule);
+  if (actor) apply(label("Actor", actor.name), getOverrideFlag(actor));
+  for (const rule of itemRules) apply(label("RuleElement", rule.label ?? rule.item?.name), rule);
+  if (item) apply(label("Item", item.name), getOverrideFlag(item));
+
+  return { enabled, strategy: getCritStrategy(strategyId), steps };
+}
+
+/**
+ * Check whether alternative crits are enabled for an actor's item
+ */
+export function isAltCritEnabled(actor = null, item = null) {
+  return resolveOverrides(actor, item).enabled;
+}
+
+/**
+ * Describe the resolution steps for the chat card
+ * Returns [{ source, detail }], e.g. { source: "Item: Rapier", detail: "Maximize All Dice" }
+ */
+export function describeResolution({ steps }) {
+  return steps.map((step, index) => {
+    const details = [];
+    if (index === 0) {
+      details.push(game.i18n.localize(`ALTCRIT.Overrides.Steps.${step.enabled ? "AltCrits" : "StandardCrits"}`));
+      details.push(game.i18n.localize(getCritStrategy(step.strategy).name));
+    } else {
+      if (step.mode && step.mode !== "default") details.push(game.i18n.localize(OVERRIDE_MODES[step.mode] ?? step.mode));
+      if (step.override) details.push(game.i18n.localize(getCritStrategy(step.override).name));
+    }
+    return { source: step.source, detail: details.join(", ") };
+  });
+}
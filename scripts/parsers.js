@@ -0,0 +1,71 @@
+/**
+ * Item Damage Component Parsers
+ * Turns an item into damage components. Parsers registered by other modules
+ * or macros are asked first, in registration order; weapons, spells and the
+ * basic `system.damage` fallback are handled by the built-in parsers.
+ */
+
+import { createDamageComponent } from "./formula.js";
+import { getSpellCastRank, parseSpellDamage } from "./spells.js";
+import { parseWeaponDamage } from "./weapons.js";
+
+const componentParsers = new Map();
+
+/**
+ * Register a component parser under a unique id
+ * parser: { matches(item), parse(item, isCriticalHit, { message }) }
+ * `parse` returns components, or null to let the next parser try
+ */
+export function registerComponentParser(id, parser) {
+  if (typeof parser?.parse !== "function") {
+    throw new Error(`Component parser "${id}" must provide a parse function`);
+  }
+
+  componentParsers.set(id, {
+    id,
+    matches: () => true,
+    ...parser,
+  });
+}
+
+/**
+ * Remove a registered component parser
+ */
+export function unregisterComponentParser(id) {
+  return componentParsers.delete(id);
+}
+
+/**
+ * Parse the item's basic `system.damage` for item types without their own parser
+ */
+function parseBasicDamage(item) {
+  const damage = item.system?.damage;
+  if (!damage?.dice || !damage.die) return null;
+
+  return [
+    createDamageComponent({
+      diceNumber: damage.dice,
+      dieSize: damage.die,
+      modifier: damage.modifier,
+      damageType: damage.damageType,
+    }),
+  ];
+}
+
+/**
+ * Parse an item into damage components
+ * Returns [{ source, diceNumber, dieSize, modifier, damageType, category, critical }] or null
+ */
+export function parseItemDamage(item, isCriticalHit, { message = null } = {}) {
+  for (const parser of componentParsers.values()) {
+    if (!parser.matches(item)) continue;
+    const components = parser.parse(item, isCriticalHit, { message });
+    if (components) return components.map((component) => createDamageComponent(component));
+  }
+
+  if (item.type === "weapon") return parseWeaponDamage(item, isCriticalHit);
+  if (item.type === "spell") {
+    return parseSpellDamage(item, isCriticalHit, getSpellCastRank(item, message));
+  }
+  return parseBasicDamage(item);
+}
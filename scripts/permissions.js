@@ -0,0 +1,67 @@
+/**
+ * Alt Crit Roll Permissions
+ * The GM decides who may click Alt Crit on an attack card: owners of the
+ * attacking actor, GMs only, or everyone. A click by a user who does not own
+ * the attacker is rolled by a user who does, through the module socket: the
+ * attacker's owner when they are online, otherwise the GM.
+ */
+
+import { MODULE_ID } from "./constants.js";
+
+export const SOCKET_NAME = `module.${MODULE_ID}`;
+
+// Roll permissions with their localization keys
+export const ROLL_PERMISSIONS = {
+  owner: "ALTCRIT.Settings.RollPermission.Choices.owner",
+  gm: "ALTCRIT.Settings.RollPermission.Choices.gm",
+  everyone: "ALTCRIT.Settings.RollPermission.Choices.everyone",
+};
+
+export const DEFAULT_ROLL_PERMISSION = "owner";
+
+/**
+ * Get the configured roll permission
+ */
+export function getRollPermission() {
+  try {
+    return game.settings.get("alternative-crit-damage", "rollPermission") ?? DEFAULT_ROLL_PERMISSION;
+  } catch (error) {
+    // Setting not registered yet (e.g. called before init)
+    return DEFAULT_ROLL_PERMISSION;
+  }
+}
+
+/**
+ * Check whether a user owns an actor
+ */
+function isOwner(actor, user) {
+  return !!user?.isGM || !!actor?.testUserPermission?.(user, "OWNER");
+}
+
+/**
+ * Check whether a user may roll alternative critical damage for an actor
+ */
+export function canRollAltCrit(actor, user = game.user) {
+  switch (getRollPermission()) {
+    case "everyone":
+      return true;
+    case "gm":
+      return !!user?.isGM;
+    default:
+      return isOwner(actor, user);
+  }
+}
+
+/**
+ * Get the user who rolls a click for an actor
+ * The clicking user rolls for actors they own; anyone else's click goes to
+ * an online player who owns the actor, then to the active GM.
+ * Returns null when nobody who owns the actor is online.
+ */
+export function getRollingUser(actor, user = game.user) {
+  if (!actor || isOwner(actor, user)) return user;
+
+  const active = (game.users?.contents ?? []).filter((other) => other.active);
+  const owner = active.find((other) => !other.isGM && isOwner(actor, other));
+  return owner ?? game.users?.activeGM ?? active.find((other) => other.isGM) ?? null;
+}
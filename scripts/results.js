@@ -0,0 +1,66 @@
+/**
+ * Linked Alt-Crit Results
+ * The first alt-crit roll for an attack or saving throw card is saved as a
+ * flag on that card, so later clicks show the existing result instead of
+ * rolling again. Only GMs can re-roll. The result cards link back with
+ * their own `sourceMessageId` flag.
+ *
+ * A result link is { messageIds, totals, isCriticalHit, triggeredBy, rerolls }
+ */
+
+import { toElement } from "./compat.js";
+import { MODULE_ID } from "./constants.js";
+
+/**
+ * Create the result link for the alt-crit cards rolled from a card
+ * totals holds every roll's total, e.g. one per target of a multi-target card
+ */
+export function createResultLink(resultMessages, { triggeredBy = null, previous = null } = {}) {
+  return {
+    messageIds: resultMessages.map((message) => message.id),
+    totals: resultMessages.flatMap((message) => (message.rolls ?? []).map((roll) => roll.total)),
+    isCriticalHit: resultMessages.some((message) => !!message.flags?.[MODULE_ID]?.isCriticalHit),
+    triggeredBy,
+    rerolls: previous ? (previous.rerolls ?? 0) + 1 : 0,
+  };
+}
+
+/**
+ * Get the result linked to a card, or null if it was never rolled
+ * Links whose result cards were all deleted no longer count
+ */
+export function getLinkedResult(message) {
+  const link = message?.flags?.[MODULE_ID]?.result;
+  if (!link?.messageIds?.length) return null;
+  return link.messageIds.some((id) => game.messages.get(id)) ? link : null;
+}
+
+/**
+ * Save a result link on a card
+ * Returns false when this user may not update the card
+ */
+export async function linkResult(message, link) {
+  if (!message.isOwner) return false;
+  await message.setFlag(MODULE_ID, "result", link);
+  return true;
+}
+
+/**
+ * Scroll the chat log to a message
+ * Returns false when the message is not rendered in the chat log
+ */
+export function scrollToMessage(messageId) {
+  // v12 applications render into jQuery, v13 into elements
+  const entry = toElement(ui.chat?.element)?.querySelector(`[data-message-id="${messageId}"]`);
+  if (!entry) return false;
+
+  entry.scrollIntoView({ behavior: "smooth", block: "center" });
+  return true;
+}
+
+/**
+ * Describe a linked result for the card it was rolled from, e.g. "Alt Crit: 27 damage"
+ */
+export function describeResult(link) {
+  return game.i18n.format("ALTCRIT.Results.Summary", { totals: link.totals.join(", ") });
+}
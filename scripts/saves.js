@@ -0,0 +1,79 @@
+/**
+ * Saving Throw Critical Failures
+ * Detects PF2e saving-throw result cards with a critical-failure outcome and
+ * links them to the spell or effect that forced the save, so alt-crit damage
+ * can be rolled for every affected target.
+ */
+
+/**
+ * Check whether a chat message is a saving throw result
+ */
+export function isSavingThrowMessage(message) {
+  return message?.flags?.pf2e?.context?.type === "saving-throw";
+}
+
+/**
+ * Check whether a chat message is a critically failed saving throw
+ */
+export function isCriticalFailureSave(message) {
+  return (
+    isSavingThrowMessage(message) &&
+    message.flags.pf2e.context.outcome === "criticalFailure"
+  );
+}
+
+/**
+ * Get the uuid of the item that forced a save
+ */
+export function getSaveOriginUuid(message) {
+  return message?.flags?.pf2e?.origin?.uuid ?? null;
+}
+
+/**
+ * Get the display name of the creature that rolled a save
+ */
+export function getSaveTargetName(message) {
+  return message.token?.name ?? message.actor?.name ?? message.speaker?.alias ?? "";
+}
+
+/**
+ * Find the chat card the originating item was posted or cast from
+ * This is the latest card for the same item posted before the save
+ */
+export function findSaveOriginMessage(saveMessage) {
+  const originUuid = getSaveOriginUuid(saveMessage);
+  if (!originUuid) return null;
+
+  const messages = game.messages.contents;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (message.id === saveMessage.id || isSavingThrowMessage(message)) continue;
+    if (message.timestamp > saveMessage.timestamp) continue;
+    if (getSaveOriginUuid(message) === originUuid || message.item?.uuid === originUuid) {
+      return message;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find every critically failed save rolled against an origin card
+ * Saves belong to the card until the same item is posted again
+ */
+export function findCriticalFailureSaves(originMessage) {
+  const originUuid = getSaveOriginUuid(originMessage) ?? originMessage.item?.uuid;
+  if (!originUuid) return [];
+
+  const saves = [];
+  const messages = game.messages.contents;
+  const start = messages.findIndex((message) => message.id === originMessage.id);
+  if (start === -1) return [];
+
+  for (let i = start + 1; i < messages.length; i++) {
+    const message = messages[i];
+    if (getSaveOriginUuid(message) !== originUuid && message.item?.uuid !== originUuid) continue;
+    if (!isSavingThrowMessage(message)) break;
+    if (isCriticalFailureSave(message)) saves.push(message);
+  }
+  return saves;
+}
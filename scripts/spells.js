@@ -0,0 +1,194 @@
+/**
+ * Spell Damage Parsing
+ * Builds typed damage components for a spell at the rank it was cast,
+ * including heightened dice and each damage partition's type and category.
+ * Supports both the current (`formula`/`type`) and older (`value`/`type.value`)
+ * PF2e spell damage schemas.
+ */
+
+import { getDiceTermClasses } from "./compat.js";
+import { log } from "./logger.js";
+
+/**
+ * Get the rank a spell was cast at
+ * Prefers the casting data stored on the chat message
+ */
+export function getSpellCastRank(item, message = null) {
+  const casting = message?.flags?.pf2e?.casting;
+  return (
+    casting?.castRank ??
+    casting?.castLevel ??
+    message?.flags?.pf2e?.origin?.castRank ??
+    item.rank ??
+    item.system.location?.heightenedLevel ??
+    item.system.level?.value ??
+    1
+  );
+}
+
+/**
+ * Check whether a spell is resolved with a basic saving throw
+ */
+export function isBasicSaveSpell(item) {
+  if (item?.type !== "spell") return false;
+  const system = item.system;
+  return system.defense?.save?.basic === true || system.save?.basic === "basic";
+}
+
+/**
+ * Get the spell's damage partitions keyed by id, regardless of schema version
+ */
+function getDamagePartitions(system) {
+  const damage = system.damage;
+  if (!damage || typeof damage !== "object") return {};
+  const partitions = damage.value && typeof damage.value === "object" ? damage.value : damage;
+  return foundry.utils.deepClone(partitions);
+}
+
+/**
+ * Read a partition's formula, damage type and category
+ */
+function readPartition(partition) {
+  const formula = partition.formula ?? partition.value ?? partition.damage ?? "";
+  const damageType =
+    (typeof partition.type === "string" ? partition.type : partition.type?.value) || "untyped";
+  const category = partition.category ?? partition.type?.categories?.[0] ?? "";
+  return { formula: String(formula), damageType, category: category || "" };
+}
+
+/**
+ * Apply heightening to the damage partitions for the cast rank
+ */
+function applyHeightening(system, partitions, castRank) {
+  const heightening = system.heightening;
+  const baseRank = system.level?.value ?? 1;
+  if (!heightening || castRank <= baseRank) return partitions;
+
+  if (heightening.type === "interval" && heightening.interval > 0) {
+    // Add the heightened formula once per interval above the base rank
+    const steps = Math.floor((castRank - baseRank) / heightening.interval);
+    for (const [id, added] of Object.entries(heightening.damage ?? {})) {
+      const partition = partitions[id];
+      if (!partition || steps <= 0) continue;
+      const { formula } = readPartition(partition);
+      const extra = Array(steps).fill(added).join("+");
+      partition.formula = formula ? `${formula}+${extra}` : extra;
+      delete partition.value;
+    }
+  } else if (heightening.type === "fixed") {
+    // Each fixed rank up to the cast rank overrides the partitions it lists
+    const ranks = Object.keys(heightening.levels ?? {})
+      .map(Number)
+      .filter((rank) => rank <= castRank)
+      .sort((a, b) => a - b);
+    for (const rank of ranks) {
+      const levelDamage = heightening.levels[rank]?.damage;
+      const overrides = levelDamage?.value ?? levelDamage ?? {};
+      for (const [id, override] of Object.entries(overrides)) {
+        if (typeof override === "string") {
+          partitions[id] = { ...(partitions[id] ?? {}), formula: override };
+          delete partitions[id].value;
+        } else {
+          partitions[id] = foundry.utils.mergeObject(partitions[id] ?? {}, override, {
+            inplace: false,
+          });
+        }
+      }
+    }
+  }
+
+  return partitions;
+}
+
+/**
+ * Get the spellcasting attribute modifier for partitions that apply it
+ */
+function getSpellcastingModifier(item) {
+  const attribute = item.spellcasting?.attribute;
+  return (attribute && item.actor?.system?.abilities?.[attribute]?.mod) || 0;
+}
+
+/**
+ * Parse spell damage into typed components at the given cast rank
+ * Returns [{ source, diceNumber, dieSize, modifier, damageType, category, critical }],
+ * or null when the spell has no damage or a formula subtracts dice
+ */
+export function parseSpellDamage(item, isCriticalHit, castRank = getSpellCastRank(item)) {
+  const system = item.system;
+  const partitions = applyHeightening(system, getDamagePartitions(system), castRank);
+  const components = [];
+
+  if (Object.keys(partitions).length === 0) {
+    return null;
+  }
+
+  log.debug(`Spell damage at rank ${castRank}:`, partitions);
+
+  const rollData = item.getRollData?.() ?? {};
+  for (const partition of Object.values(partitions)) {
+    if (!partition) continue;
+    const { formula, damageType, category } = readPartition(partition);
+    if (!formula) continue;
+
+    let roll;
+    try {
+      roll = new Roll(formula, rollData);
+    } catch (error) {
+      log.warn("Could not parse spell damage formula:", formula, error);
+      continue;
+    }
+
+    // Group dice of the same size and sum static terms
+    const { DiceTerm, NumericTerm, OperatorTerm } = getDiceTermClasses();
+    const diceByFaces = new Map();
+    let modifier = partition.applyMod ? getSpellcastingModifier(item) : 0;
+    let sign = 1;
+    for (const term of roll.terms) {
+      if (term instanceof OperatorTerm) {
+        sign = term.operator === "-" ? -1 : 1;
+      } else if (term instanceof DiceTerm) {
+        // Subtracted dice cannot be expressed as damage components
+        if (sign < 0) {
+          log.warn("Spell damage subtracts dice, which is not supported:", formula);
+          return null;
+        }
+        diceByFaces.set(term.faces, (diceByFaces.get(term.faces) ?? 0) + term.number);
+        sign = 1;
+      } else if (term instanceof NumericTerm) {
+        modifier += sign * term.number;
+        sign = 1;
+      }
+    }
+
+    const dice = [...diceByFaces.entries()];
+    if (dice.length === 0 && modifier !== 0) {
+      components.push({
+        source: "base",
+        diceNumber: 0,
+        dieSize: null,
+        modifier,
+        damageType,
+        category,
+        // Splash follows its category rule, which rolls it normally by default
+        critical: "double",
+      });
+      continue;
+    }
+
+    dice.forEach(([faces, number], index) => {
+      components.push({
+        source: "base",
+        diceNumber: number,
+        dieSize: faces,
+        // The partition's static modifier rides on its first dice group
+        modifier: index === 0 ? modifier : 0,
+        damageType,
+        category,
+        // Splash follows its category rule, which rolls it normally by default
+        critical: "double",
+      });
+    });
+  }
+
+  return components.length > 0 ? components : null;
+}
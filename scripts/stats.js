@@ -0,0 +1,249 @@
+/**
+ * Exact Damage Statistics
+ * Damage distributions computed by dice convolution, with no random sampling.
+ * A distribution is { min, probs } where probs[i] is the chance of dealing
+ * min + i damage. Formulas are read from the terms the serializer writes:
+ * `NdF`, integers, `k*(...)`, `+` and `-`.
+ */
+
+import { componentTerm, isRolledTwice } from "./formula.js";
+
+/**
+ * Distribution of a fixed value
+ */
+export function constantDistribution(value) {
+  return { min: value, probs: [1] };
+}
+
+/**
+ * Add two independent distributions
+ */
+export function convolve(a, b) {
+  const probs = new Array(a.probs.length + b.probs.length - 1).fill(0);
+  a.probs.forEach((pa, i) => {
+    if (!pa) return;
+    b.probs.forEach((pb, j) => {
+      probs[i + j] += pa * pb;
+    });
+  });
+  return { min: a.min + b.min, probs };
+}
+
+/**
+ * Distribution of NdF
+ */
+export function diceDistribution(number, faces) {
+  const die = { min: 1, probs: new Array(faces).fill(1 / faces) };
+  let result = constantDistribution(0);
+  for (let i = 0; i < number; i++) result = convolve(result, die);
+  return result;
+}
+
+/**
+ * Distribution of -X
+ */
+export function negate(dist) {
+  return { min: -(dist.min + dist.probs.length - 1), probs: [...dist.probs].reverse() };
+}
+
+/**
+ * Distribution of k * X
+ */
+export function scale(dist, factor) {
+  if (factor === 1) return dist;
+  const probs = new Array((dist.probs.length - 1) * factor + 1).fill(0);
+  dist.probs.forEach((p, i) => {
+    probs[i * factor] = p;
+  });
+  return { min: dist.min * factor, probs };
+}
+
+/**
+ * Distribution of the higher of two independent results
+ */
+export function maxOf(a, b) {
+  const min = Math.max(a.min, b.min);
+  const max = Math.max(a.min + a.probs.length - 1, b.min + b.probs.length - 1);
+  const cdf = (dist, value) => {
+    let total = 0;
+    for (let i = 0; i < dist.probs.length && dist.min + i <= value; i++) total += dist.probs[i];
+    return total;
+  };
+
+  const probs = [];
+  let previous = cdf(a, min - 1) * cdf(b, min - 1);
+  for (let value = min; value <= max; value++) {
+    const current = cdf(a, value) * cdf(b, value);
+    probs.push(current - previous);
+    previous = current;
+  }
+  return { min, probs };
+}
+
+/**
+ * Get the distribution of an untyped damage term
+ * Returns null for formulas it cannot read (e.g. from a custom crit strategy)
+ */
+export function formulaDistribution(formula) {
+  const source = String(formula).replace(/\s+/g, "");
+  let result = constantDistribution(0);
+  let i = 0;
+
+  while (i < source.length) {
+    let sign = 1;
+    if (source[i] === "+" || source[i] === "-") {
+      sign = source[i] === "-" ? -1 : 1;
+      i++;
+    }
+
+    // A factor such as the `2*` of a doubled component
+    let factor = 1;
+    const multiplier = source.slice(i).match(/^(\d+)\*/);
+    if (multiplier) {
+      factor = Number(multiplier[1]);
+      i += multiplier[0].length;
+    }
+
+    let term = null;
+    const rest = source.slice(i);
+    if (rest.startsWith("(")) {
+      // Find the matching parenthesis
+      let depth = 0;
+      let end = 0;
+      for (; end < rest.length; end++) {
+        if (rest[end] === "(") depth++;
+        else if (rest[end] === ")" && --depth === 0) break;
+      }
+      if (depth !== 0) return null;
+
+      term = formulaDistribution(rest.slice(1, end));
+      i += end + 1;
+    } else {
+      const match = rest.match(/^(\d*)d(\d+)|^(\d+)/);
+      if (!match) return null;
+      term = match[2]
+        ? diceDistribution(Number(match[1] || 1), Number(match[2]))
+        : constantDistribution(Number(match[3]));
+      i += match[0].length;
+    }
+
+    if (!term) return null;
+    term = scale(term, factor);
+    result = convolve(result, sign < 0 ? negate(term) : term);
+  }
+
+  return result;
+}
+
+/**
+ * Distribution of the alternative critical (or normal) damage of components
+ * options are passed to the serializer (strategy, doubleStatic)
+ * A crit under a strategy that keeps the higher total takes the higher of two
+ * rolls of the dice the strategy governs and adds the rest once
+ */
+export function componentsDistribution(components, isCriticalHit, options = {}) {
+  let twice = constantDistribution(0);
+  let once = constantDistribution(0);
+  for (const component of components) {
+    const term = componentTerm(component, isCriticalHit, options);
+    if (!term) continue;
+    const dist = formulaDistribution(term);
+    if (!dist) return null;
+    if (isRolledTwice(component, isCriticalHit, options)) twice = convolve(twice, dist);
+    else once = convolve(once, dist);
+  }
+
+  return convolve(maxOf(twice, twice), once);
+}
+
+/**
+ * Distribution of a standard PF2e critical hit for the same components
+ * Multiplied damage is rolled once and doubled; crit-only dice are added
+ * after doubling and splash damage is never doubled
+ */
+export function standardCritDistribution(components) {
+  let doubled = constantDistribution(0);
+  let added = constantDistribution(0);
+  for (const component of components) {
+    const term = componentTerm(component, false);
+    const dist = term
+      ? formulaDistribution(term)
+      : component.critical === "extra" && component.diceNumber && component.dieSize
+        ? formulaDistribution(`${component.diceNumber}d${component.dieSize}`)
+        : constantDistribution(0);
+    if (!dist) return null;
+
+    if (component.critical === "double" && component.category !== "splash") doubled = convolve(doubled, dist);
+    else added = convolve(added, dist);
+  }
+  return convolve(scale(doubled, 2), added);
+}
+
+/**
+ * Mean, minimum and maximum of a distribution
+ */
+export function summarize(dist) {
+  let mean = 0;
+  let min = null;
+  let max = null;
+  dist.probs.forEach((p, i) => {
+    // Ignore float noise from subtracting cumulative probabilities
+    if (p <= 1e-12) return;
+    const value = dist.min + i;
+    mean += p * value;
+    min ??= value;
+    max = value;
+  });
+  return { mean, min: min ?? dist.min, max: max ?? dist.min };
+}
+
+/**
+ * Chances of each degree of success of a Strike: d20 + attackBonus against ac
+ * A natural 20 is one degree better and a natural 1 one degree worse
+ */
+export function attackOutcomeChances(attackBonus, ac) {
+  const degrees = ["criticalFailure", "failure", "success", "criticalSuccess"];
+  const chances = Object.fromEntries(degrees.map((degree) => [degree, 0]));
+
+  for (let die = 1; die <= 20; die++) {
+    const total = die + attackBonus;
+    let degree = total >= ac + 10 ? 3 : total >= ac ? 2 : total <= ac - 10 ? 0 : 1;
+    if (die === 20) degree = Math.min(3, degree + 1);
+    if (die === 1) degree = Math.max(0, degree - 1);
+    chances[degrees[degree]] += 1 / 20;
+  }
+  return chances;
+}
+
+/**
+ * Analyse a Strike under a standard crit and the alternative crit
+ * normal and critical are the Strike's damage components on a hit and a crit;
+ * options are passed to the serializer (strategy, doubleStatic, rules)
+ * Returns the distributions, their summaries and, with an attack bonus and AC,
+ * the expected damage per attack. Returns null if a formula cannot be read.
+ */
+export function analyzeStrike({ normal, critical }, { attackBonus = null, ac = null, ...options } = {}) {
+  const distributions = {
+    hit: componentsDistribution(normal, false, options),
+    standard: standardCritDistribution(critical),
+    alternative: componentsDistribution(critical, true, options),
+  };
+  if (Object.values(distributions).some((dist) => !dist)) return null;
+
+  const summaries = Object.fromEntries(
+    Object.entries(distributions).map(([key, dist]) => [key, summarize(dist)]),
+  );
+
+  let expected = null;
+  if (Number.isFinite(attackBonus) && Number.isFinite(ac)) {
+    const chances = attackOutcomeChances(attackBonus, ac);
+    const hitDamage = chances.success * summaries.hit.mean;
+    expected = {
+      chances,
+      standard: hitDamage + chances.criticalSuccess * summaries.standard.mean,
+      alternative: hitDamage + chances.criticalSuccess * summaries.alternative.mean,
+    };
+  }
+
+  return { distributions, summaries, expected };
+}
@@ -0,0 +1,126 @@
+/**
+ * Critical Strategy Registry
+ * Each strategy describes one house rule for turning a damage component into
+ * critical damage. Every formula builder asks the active strategy for its dice
+ * and static modifier handling, so all calculation paths apply the same rule.
+ *
+ * A strategy provides:
+ * - name / hint: shown in the module settings and on chat cards, as
+ *   localization keys or plain text
+ * - critDice(num, faces, { base, maximize }): formula for dice the crit
+ *   multiplies (`base` is true for the weapon's own damage dice)
+ * - extraDice(num, faces, { maximize }): formula for crit-only dice (deadly,
+ *   fatal extra die)
+ * `maximize(num, faces)` writes the maximized value of dice; use it rather
+ * than a plain number so the dice can be shown locked at their highest face
+ * - doublesStatic(doubleStatic): whether static modifiers are doubled, given
+ *   the "Double Static Modifiers" setting
+ * - keepHigherTotal: whether the crit is rolled twice and the higher total
+ *   kept; critDice then writes the dice of one of the two rolls. Damage the
+ *   strategy does not govern is rolled once and added to both
+ */
+
+const critStrategies = new Map();
+
+// Maximized dice for callers that do not pass maximize
+const flatMaximum = (num, faces) => `${num * faces}`;
+
+export const DEFAULT_CRIT_STRATEGY = "rollPlusMax";
+
+/**
+ * Register a critical strategy under a unique id
+ */
+export function registerCritStrategy(id, strategy) {
+  if (typeof strategy?.critDice !== "function") {
+    throw new Error(`Crit strategy "${id}" must provide a critDice function`);
+  }
+
+  critStrategies.set(id, {
+    id,
+    name: id,
+    hint: "",
+    extraDice: (num, faces) => `${num}d${faces}`,
+    doublesStatic: (doubleStatic) => doubleStatic,
+    keepHigherTotal: false,
+    ...strategy,
+  });
+}
+
+/**
+ * Get a registered strategy, falling back to the default rule
+ */
+export function getCritStrategy(id) {
+  return critStrategies.get(id) ?? critStrategies.get(DEFAULT_CRIT_STRATEGY);
+}
+
+/**
+ * Get the strategy selected in the world settings
+ */
+export function getActiveCritStrategy() {
+  let id = DEFAULT_CRIT_STRATEGY;
+  try {
+    id = game.settings.get("alternative-crit-damage", "critStrategy");
+  } catch (error) {
+    // Setting not registered yet (e.g. called before init)
+  }
+  return getCritStrategy(id);
+}
+
+/**
+ * Evaluate a crit roll under a strategy
+ * createRoll builds a new unevaluated roll; strategies that keep the higher
+ * total roll twice. Pass no strategy for damage that is not a crit.
+ * Returns { roll, discarded }, discarded being the lower roll or null
+ */
+export async function evaluateCritRoll(createRoll, strategy = null) {
+  const roll = await createRoll().evaluate();
+  if (!strategy?.keepHigherTotal) return { roll, discarded: null };
+
+  const other = await createRoll().evaluate();
+  return other.total > roll.total ? { roll: other, discarded: roll } : { roll, discarded: other };
+}
+
+/**
+ * Choices object for the settings dropdown
+ */
+export function getCritStrategyChoices() {
+  return Object.fromEntries(
+    [...critStrategies.values()].map((strategy) => [strategy.id, strategy.name]),
+  );
+}
+
+// Built-in strategies
+
+registerCritStrategy("rollPlusMax", {
+  name: "ALTCRIT.Strategies.rollPlusMax.Name",
+  hint: "ALTCRIT.Strategies.rollPlusMax.Hint",
+  critDice: (num, faces, { maximize = flatMaximum } = {}) => `${num}d${faces}+${maximize(num, faces)}`,
+});
+
+registerCritStrategy("maximize", {
+  name: "ALTCRIT.Strategies.maximize.Name",
+  hint: "ALTCRIT.Strategies.maximize.Hint",
+  critDice: (num, faces, { maximize = flatMaximum } = {}) => maximize(num, faces),
+  extraDice: (num, faces, { maximize = flatMaximum } = {}) => maximize(num, faces),
+});
+
+registerCritStrategy("doubleDice", {
+  name: "ALTCRIT.Strategies.doubleDice.Name",
+  hint: "ALTCRIT.Strategies.doubleDice.Hint",
+  critDice: (num, faces) => `${num * 2}d${faces}`,
+  doublesStatic: () => false,
+});
+
+registerCritStrategy("rollTwiceKeepHigher", {
+  name: "ALTCRIT.Strategies.rollTwiceKeepHigher.Name",
+  hint: "ALTCRIT.Strategies.rollTwiceKeepHigher.Hint",
+  critDice: (num, faces) => `${num}d${faces}`,
+  keepHigherTotal: true,
+});
+
+registerCritStrategy("maxBaseRollExtras", {
+  name: "ALTCRIT.Strategies.maxBaseRollExtras.Name",
+  hint: "ALTCRIT.Strategies.maxBaseRollExtras.Hint",
+  critDice: (num, faces, { base = false, maximize = flatMaximum } = {}) =>
+    base ? maximize(num, faces) : `${num}d${faces}`,
+});
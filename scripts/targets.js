@@ -0,0 +1,123 @@
+/**
+ * Per-Target Attack Outcomes
+ * Reads each target's degree of success from an attack message, following
+ * later reroll messages so hero point rerolls and GM adjustments are respected.
+ * The attacks of a spell rolled from one spell card are read together.
+ */
+
+// Localization keys of each attack outcome
+export const OUTCOME_LABELS = {
+  criticalSuccess: "ALTCRIT.Outcomes.criticalSuccess",
+  success: "ALTCRIT.Outcomes.success",
+  failure: "ALTCRIT.Outcomes.failure",
+  criticalFailure: "ALTCRIT.Outcomes.criticalFailure",
+};
+
+/**
+ * Get the target of an attack's context
+ * PF2e rolls every attack against a single `target`
+ */
+function getContextTargets(context) {
+  return context.target ? [context.target] : [];
+}
+
+/**
+ * Check whether a message comes from the same actor and item as an attack
+ */
+function isSameOrigin(message, attackMessage) {
+  return message.actor?.uuid === attackMessage.actor?.uuid && message.item?.id === attackMessage.item?.id;
+}
+
+/**
+ * Check whether a message rolls the same attack as another
+ */
+function isSameAttack(message, attackMessage) {
+  return (
+    message.flags?.pf2e?.context?.type === attackMessage.flags.pf2e.context.type &&
+    isSameOrigin(message, attackMessage)
+  );
+}
+
+/**
+ * Find the attacks rolled from the same spell card as an attack
+ * A spell is cast once and its attack rolled from the card against each
+ * target, so the attacks belong to the card until the spell is posted again.
+ * Other attacks, such as Strikes, stand alone.
+ */
+function findAttackGroup(attackMessage) {
+  if (attackMessage.item?.type !== "spell") return [attackMessage];
+
+  const messages = game.messages.contents;
+  const index = messages.findIndex((message) => message.id === attackMessage.id);
+  if (index === -1) return [attackMessage];
+
+  // The spell card is the latest message of the spell before the attack that is not a roll
+  let start = -1;
+  for (let i = index - 1; i >= 0; i--) {
+    if (isSameOrigin(messages[i], attackMessage) && !messages[i].flags?.pf2e?.context) {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1) return [attackMessage];
+
+  const attacks = [];
+  for (let i = start + 1; i < messages.length; i++) {
+    const message = messages[i];
+    if (!isSameOrigin(message, attackMessage)) continue;
+    const context = message.flags?.pf2e?.context;
+    if (!context) break;
+    if (isSameAttack(message, attackMessage) && !context.isReroll) attacks.push(message);
+  }
+  return attacks;
+}
+
+/**
+ * Find the outcome of the latest reroll of an attack against a target
+ * Only rerolls before the next original roll of the same attack count; later
+ * rerolls belong to that later attack
+ */
+function findRerollOutcome(attackMessage, target) {
+  const messages = game.messages.contents;
+  const start = messages.findIndex((message) => message.id === attackMessage.id);
+  if (start === -1) return null;
+
+  let outcome = null;
+  for (let i = start + 1; i < messages.length; i++) {
+    const message = messages[i];
+    const context = message.flags?.pf2e?.context;
+    if (!context || !isSameAttack(message, attackMessage)) continue;
+    if (!context.isReroll) break;
+
+    const rerolled = getContextTargets(context).find(
+      (entry) => (entry.token ?? entry.actor) === (target.token ?? target.actor),
+    );
+    if (rerolled) outcome = rerolled.outcome ?? context.outcome ?? outcome;
+  }
+  return outcome;
+}
+
+/**
+ * Get every target of an attack with its current outcome
+ * Spell attacks include the other attacks rolled from the same spell card
+ * Returns [{ name, tokenUuid, actorUuid, outcome, messageId }]
+ */
+export function getTargetOutcomes(message) {
+  if (!message?.flags?.pf2e?.context) return [];
+
+  return findAttackGroup(message).flatMap((attack) => {
+    const context = attack.flags.pf2e.context;
+    return getContextTargets(context).map((target) => {
+      const tokenUuid = target.token ?? null;
+      const actorUuid = target.actor ?? null;
+      const document = fromUuidSync(tokenUuid ?? actorUuid ?? "");
+      return {
+        name: document?.name ?? game.i18n.localize("ALTCRIT.Outcomes.UnknownTarget"),
+        tokenUuid,
+        actorUuid,
+        outcome: findRerollOutcome(attack, target) ?? target.outcome ?? context.outcome ?? null,
+        messageId: attack.id,
+      };
+    });
+  });
+}
@@ -0,0 +1,386 @@
+/**
+ * Weapon Damage Parsing
+ * Builds typed damage components for a weapon, either from the item's own
+ * damage data (runes, traits, persistent, splash and bonus damage) or from a
+ * PF2e damage structure captured from a strike or prepared by the actor's
+ * strike action without posting a message.
+ *
+ * Striking and property runes are read from both item schemas: `runes` on
+ * current PF2e versions, `strikingRune` and `propertyRune1-4` on older ones.
+ */
+
+import { createDamageComponent } from "./formula.js";
+import { log } from "./logger.js";
+
+/**
+ * Get the die size weapon dice are upgraded to on a crit (fatal trait)
+ * PF2e expresses fatal as a crit-only damage die with a die size override
+ */
+export function getFatalDieSize(damageData, isCriticalHit) {
+  if (!isCriticalHit || !damageData.dice) return null;
+
+  const fatalDice = damageData.dice.find(
+    (diceData) =>
+      diceData.enabled &&
+      !diceData.ignored &&
+      diceData.critical === true &&
+      diceData.override?.dieSize,
+  );
+  return fatalDice?.override.dieSize ?? null;
+}
+
+// Striking rune values of the older item schema and the dice they add
+const STRIKING_RUNES = { striking: 1, greaterStriking: 2, majorStriking: 3 };
+
+// Damage of the property runes that apply to every target, by rune slug
+// dice are added to every hit; critical dice only to critical hits
+const PROPERTY_RUNE_DAMAGE = {
+  corrosive: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "acid" }] },
+  greaterCorrosive: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "acid" }] },
+  flaming: {
+    dice: [{ diceNumber: 1, dieSize: 6, damageType: "fire" }],
+    critical: [{ diceNumber: 1, dieSize: 10, damageType: "fire", category: "persistent" }],
+  },
+  greaterFlaming: {
+    dice: [{ diceNumber: 1, dieSize: 6, damageType: "fire" }],
+    critical: [{ diceNumber: 2, dieSize: 10, damageType: "fire", category: "persistent" }],
+  },
+  frost: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "cold" }] },
+  greaterFrost: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "cold" }] },
+  impactful: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "force" }] },
+  greaterImpactful: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "force" }] },
+  shock: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "electricity" }] },
+  greaterShock: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "electricity" }] },
+  thundering: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "sonic" }] },
+  greaterThundering: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "sonic" }] },
+  wounding: { dice: [{ diceNumber: 1, dieSize: 6, damageType: "bleed", category: "persistent" }] },
+};
+
+/**
+ * Get the number of dice a weapon's striking rune adds
+ */
+export function getStrikingDice(item) {
+  const system = item?.system ?? {};
+  if (typeof system.runes?.striking === "number") return system.runes.striking;
+  return STRIKING_RUNES[system.strikingRune?.value] ?? 0;
+}
+
+/**
+ * Split weapon dice into the weapon's own dice and the striking rune's dice
+ * PF2e counts striking dice in the prepared `system.damage.dice` and in the
+ * first base entry of a damage structure; the weapon keeps at least one die
+ * Returns { base, striking }
+ */
+function splitStrikingDice(diceNumber, striking) {
+  const strikingDice = diceNumber > striking ? striking : 0;
+  return { base: diceNumber - strikingDice, striking: strikingDice };
+}
+
+/**
+ * Get the slugs of a weapon's property runes
+ */
+export function getPropertyRunes(item) {
+  const system = item?.system ?? {};
+  if (Array.isArray(system.runes?.property)) return system.runes.property.filter(Boolean);
+  return [1, 2, 3, 4].map((slot) => system[`propertyRune${slot}`]?.value).filter(Boolean);
+}
+
+/**
+ * Get the damage dice of a weapon's property runes
+ * Returned in the shape of PF2e damage dice, so they are parsed like the dice
+ * of a strike; crit riders are crit-only dice (critical: true)
+ */
+export function getPropertyRuneDice(item) {
+  return getPropertyRunes(item).flatMap((slug) => {
+    const damage = PROPERTY_RUNE_DAMAGE[slug];
+    if (!damage) return [];
+
+    const labelKey = CONFIG.PF2E?.weaponPropertyRunes?.[slug];
+    const label = typeof labelKey === "string" ? game.i18n.localize(labelKey) : slug;
+    const toDice = (dice, critical) => ({
+      slug,
+      label: critical ? game.i18n.format("ALTCRIT.Sources.RuneCritical", { rune: label }) : label,
+      enabled: true,
+      ignored: false,
+      critical: critical ? true : null,
+      diceNumber: dice.diceNumber,
+      dieSize: dice.dieSize,
+      damageType: dice.damageType,
+      category: dice.category ?? null,
+    });
+
+    return [
+      ...damage.dice.map((dice) => toDice(dice, false)),
+      ...(damage.critical ?? []).map((dice) => toDice(dice, true)),
+    ];
+  });
+}
+
+/**
+ * Parse one PF2e damage dice entry into a component
+ * Returns null for dice that are disabled or do not apply to this roll
+ */
+function parseDamageDice(diceData, isCriticalHit, defaultDamageType) {
+  if (!diceData.enabled || diceData.ignored) return null;
+  if (diceData.critical === true && !isCriticalHit) return null;
+  if (diceData.critical === false && isCriticalHit) return null;
+  if (!diceData.diceNumber || !diceData.dieSize) return null;
+
+  // Crit-only dice (deadly, fatal's extra die, rune crit riders) are extra dice on a crit
+  return createDamageComponent({
+    source: diceData.slug ?? "dice",
+    label: diceData.label,
+    diceNumber: diceData.diceNumber,
+    dieSize: diceData.dieSize,
+    damageType: diceData.damageType || defaultDamageType,
+    category: diceData.category,
+    critical: diceData.critical === true ? "extra" : "double",
+  });
+}
+
+/**
+ * Parse weapon damage into typed components
+ * Returns [{ source, diceNumber, dieSize, modifier, damageType, category, critical }]
+ * where source is base, striking, deadly, fatal, persistent, splash, bonus or
+ * a property rune slug. Every damage source on the item is counted exactly once.
+ */
+export function parseWeaponDamage(item, isCriticalHit) {
+  const system = item.system;
+  const damage = system.damage;
+  const splashDamage = system.splashDamage;
+  const bonusDamage = system.bonusDamage;
+  const traits = system.traits?.value || [];
+
+  if (!damage) {
+    return null;
+  }
+
+  log.debug("Weapon damage:", damage);
+  log.debug("Weapon traits:", traits);
+  log.debug("Weapon runes:", { striking: getStrikingDice(item), property: getPropertyRunes(item) });
+
+  const dieSize = damage.die ? parseInt(damage.die.replace("d", "")) : null;
+  if (!damage.dice || !dieSize) {
+    return null;
+  }
+
+  const damageType = damage.damageType || "untyped";
+  const components = [];
+
+  // Fatal upgrades every weapon die on a crit (fatal aim only when held in two hands)
+  const fatalTrait = traits.find(
+    (trait) =>
+      trait.startsWith("fatal-") &&
+      (!trait.startsWith("fatal-aim-") || system.equipped?.handsHeld === 2),
+  );
+  const fatalDie = isCriticalHit && fatalTrait ? parseInt(fatalTrait.split("-d").pop()) : null;
+  const weaponDie = fatalDie ?? dieSize;
+
+  // Base weapon dice and the weapon's own flat modifier
+  const striking = getStrikingDice(item);
+  const weaponDice = splitStrikingDice(damage.dice, striking);
+  components.push({
+    source: "base",
+    diceNumber: weaponDice.base,
+    dieSize: weaponDie,
+    modifier: damage.modifier || 0,
+    damageType,
+    category: "",
+    critical: "double",
+  });
+
+  // Striking rune dice, split out so their category rule applies
+  if (weaponDice.striking > 0) {
+    components.push({
+      source: "striking",
+      diceNumber: weaponDice.striking,
+      dieSize: weaponDie,
+      modifier: 0,
+      damageType,
+      category: "",
+      critical: "double",
+    });
+  }
+
+  if (isCriticalHit) {
+    // Deadly adds one die, two with greater striking and three with major striking
+    const deadlyTrait = traits.find((trait) => trait.startsWith("deadly-"));
+    if (deadlyTrait) {
+      components.push({
+        source: "deadly",
+        diceNumber: striking >= 2 ? striking : 1,
+        dieSize: parseInt(deadlyTrait.split("-d").pop()),
+        modifier: 0,
+        damageType,
+        category: "",
+        critical: "extra",
+      });
+    }
+
+    // Fatal adds one more die of the fatal size
+    if (fatalDie) {
+      components.push({
+        source: "fatal",
+        diceNumber: 1,
+        dieSize: fatalDie,
+        modifier: 0,
+        damageType,
+        category: "",
+        critical: "extra",
+      });
+    }
+  }
+
+  // Persistent damage keeps its own type and category
+  const persistent = damage.persistent;
+  if (persistent && persistent.number) {
+    components.push({
+      source: "persistent",
+      diceNumber: persistent.faces ? persistent.number : 0,
+      dieSize: persistent.faces || null,
+      modifier: persistent.faces ? 0 : persistent.number,
+      damageType: persistent.type || damageType,
+      category: "persistent",
+      critical: "double",
+    });
+  }
+
+  // Splash damage follows its category rule, which rolls it normally by default
+  if (splashDamage && splashDamage.value) {
+    components.push({
+      source: "splash",
+      diceNumber: 0,
+      dieSize: null,
+      modifier: splashDamage.value,
+      damageType,
+      category: "splash",
+      critical: "double",
+    });
+  }
+
+  // Bonus damage can be flat and/or dice
+  const bonusDie = bonusDamage?.die ? parseInt(bonusDamage.die.replace("d", "")) : null;
+  if (bonusDamage && (bonusDamage.value || (bonusDamage.dice && bonusDie))) {
+    components.push({
+      source: "bonus",
+      diceNumber: bonusDie ? bonusDamage.dice || 0 : 0,
+      dieSize: bonusDie,
+      modifier: bonusDamage.value || 0,
+      damageType,
+      category: "",
+      critical: "double",
+    });
+  }
+
+  // Property runes add typed dice, and some add more on a crit
+  for (const diceData of getPropertyRuneDice(item)) {
+    const component = parseDamageDice(diceData, isCriticalHit, damageType);
+    if (component) components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * Parse a PF2e damage structure (captured or prepared by a strike) into typed components
+ * Modifiers and dice without their own type deal the weapon's damage type
+ * With the weapon item, striking rune dice are split out of the base dice so
+ * their crit behaviour rule applies to them
+ */
+export function parseDamageData(damageData, isCriticalHit, item = null) {
+  const components = [];
+  const fatalDieSize = getFatalDieSize(damageData, isCriticalHit);
+  const primaryDamageType = damageData.base?.[0]?.damageType || "untyped";
+  const striking = item?.type === "weapon" ? getStrikingDice(item) : 0;
+
+  (damageData.base ?? []).forEach((baseDamage, index) => {
+    const strikingDice = index === 0 ? splitStrikingDice(baseDamage.diceNumber, striking).striking : 0;
+    const dieSize = fatalDieSize ?? baseDamage.dieSize;
+    const damageType = baseDamage.damageType || primaryDamageType;
+
+    components.push(
+      createDamageComponent({
+        source: "base",
+        diceNumber: baseDamage.diceNumber - strikingDice,
+        // Fatal upgrades every weapon die before the crit rule is applied
+        dieSize,
+        modifier: baseDamage.modifier,
+        damageType,
+        category: baseDamage.category,
+      }),
+    );
+
+    if (strikingDice) {
+      components.push(
+        createDamageComponent({
+          source: "striking",
+          diceNumber: strikingDice,
+          dieSize,
+          damageType,
+          category: baseDamage.category,
+        }),
+      );
+    }
+  });
+
+  // Strength, Precise Strike, weapon specialization and other flat modifiers
+  for (const modifierData of damageData.modifiers ?? []) {
+    if (!modifierData.enabled || modifierData.ignored || !modifierData.modifier) continue;
+    components.push(
+      createDamageComponent({
+        source: "modifier",
+        label: modifierData.label,
+        modifier: modifierData.modifier,
+        damageType: modifierData.damageType || primaryDamageType,
+        category: modifierData.damageCategory,
+      }),
+    );
+  }
+
+  // Extra dice; crit-only dice are absent from normal damage
+  for (const diceData of damageData.dice ?? []) {
+    const component = parseDamageDice(diceData, isCriticalHit, primaryDamageType);
+    if (component) components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * Find the actor's strike action for an item
+ * Combination and thrown weapons pick the alternate usage the attack was made with
+ */
+export function findStrikeForItem(item, actor, attackMessage = null) {
+  const strikes = actor.system?.actions ?? [];
+  const strike = strikes.find((action) => action.item?.id === item.id);
+  if (!strike) return null;
+
+  const altUsage = attackMessage?.flags?.pf2e?.context?.altUsage;
+  if (altUsage === "thrown") {
+    return strike.altUsages?.find((usage) => usage.item?.isThrown) ?? strike;
+  } else if (altUsage === "melee") {
+    return strike.altUsages?.find((usage) => usage.item?.isMelee) ?? strike;
+  }
+  return strike;
+}
+
+/**
+ * Get the fully resolved damage structure from the actor's strike without posting a message
+ * This runs the system's own damage preparation, so weapon specialization,
+ * Precise Strike, sneak attack and rule element bonuses are all included
+ */
+export async function getStrikeDamageData(item, actor, isCriticalHit, attackMessage = null) {
+  const strike = findStrikeForItem(item, actor, attackMessage);
+  const damageFn = isCriticalHit ? strike?.critical : strike?.damage;
+  if (typeof damageFn !== "function") return null;
+
+  try {
+    const roll = await damageFn.call(strike, { createMessage: false, skipDialog: true });
+    const damageData = roll?.options?.damage?.damage;
+    log.debug("Strike damage structure:", damageData);
+    return damageData ?? null;
+  } catch (error) {
+    log.warn("Could not prepare strike damage:", error);
+    return null;
+  }
+}
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { DamageRoll, initializeModule, notifications, resetStandIn } from "./helpers/foundry.js";
+import { applyAlternativeCriticalDamage } from "../scripts/apply.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+/**
+ * Create a token document whose actor records the damage applied to it
+ */
+const createToken = (name, { isOwner = true } = {}) => {
+  const document = { uuid: `Scene.scene.Token.${name}`, name };
+  document.actor = {
+    name,
+    isOwner,
+    applied: [],
+    created: [],
+    async applyDamage({ damage, token }) {
+      this.applied.push({ damage, token });
+    },
+    async createEmbeddedDocuments(type, data) {
+      this.created.push(...data);
+    },
+  };
+  return document;
+};
+
+const createCard = (rolls, flags = {}) =>
+  new ChatMessage({ rolls, flags: { "alternative-crit-damage": { altCrit: true, ...flags } } });
+
+describe("applyAlternativeCriticalDamage", () => {
+  let tokens;
+
+  beforeEach(() => {
+    resetStandIn();
+    tokens = { amiri: createToken("amiri"), goblin: createToken("goblin"), orc: createToken("orc") };
+    globalThis.canvas = { tokens: { controlled: [] } };
+    globalThis.fromUuid = async (uuid) => Object.values(tokens).find((token) => token.uuid === uuid) ?? null;
+    game.user.targets = new Set();
+  });
+
+  afterEach(() => {
+    globalThis.fromUuid = async () => null;
+    delete globalThis.canvas;
+    game.user.targets = new Set();
+  });
+
+  it("applies each roll of a combined card to the target it was rolled for", async () => {
+    const rolls = [new DamageRoll("{1d6[fire]}"), new DamageRoll("{2d6[fire]}")];
+    canvas.tokens.controlled = [{ document: tokens.amiri }];
+    await applyAlternativeCriticalDamage(createCard(rolls, { rollTargets: [tokens.goblin.uuid, tokens.orc.uuid] }));
+
+    assert.deepEqual(tokens.goblin.actor.applied.map(({ damage }) => damage), [rolls[0]]);
+    assert.deepEqual(tokens.orc.actor.applied.map(({ damage }) => damage), [rolls[1]]);
+    assert.equal(tokens.amiri.actor.applied.length, 0);
+  });
+
+  it("never applies a combined card's rolls to the selection when their targets are gone", async () => {
+    const rolls = [new DamageRoll("{1d6[fire]}"), new DamageRoll("{2d6[fire]}")];
+    canvas.tokens.controlled = [{ document: tokens.amiri }];
+    await applyAlternativeCriticalDamage(createCard(rolls, { rollTargets: [null, "Scene.scene.Token.deleted"] }));
+
+    assert.equal(tokens.amiri.actor.applied.length, 0);
+    assert.deepEqual(notifications.messages.map(({ type }) => type), ["warn", "warn"]);
+  });
+
+  it("applies an untargeted card to the targeted tokens, or the selected ones when nothing is targeted", async () => {
+    const roll = new DamageRoll("{1d6[fire]}");
+    canvas.tokens.controlled = [{ document: tokens.amiri }];
+    game.user.targets = new Set([{ document: tokens.goblin }, { document: tokens.orc }]);
+    await applyAlternativeCriticalDamage(createCard([roll]));
+    assert.deepEqual(
+      [tokens.goblin, tokens.orc, tokens.amiri].map((token) => token.actor.applied.length),
+      [1, 1, 0],
+    );
+
+    game.user.targets = new Set();
+    await applyAlternativeCriticalDamage(createCard([roll]));
+    assert.deepEqual(tokens.amiri.actor.applied, [{ damage: roll, token: tokens.amiri }]);
+  });
+
+  it("warns when no token is targeted or selected", async () => {
+    await applyAlternativeCriticalDamage(createCard([new DamageRoll("{1d6[fire]}")]));
+    assert.equal(notifications.messages[0].message, "Select or target at least one token to apply damage");
+  });
+
+  it("leaves persistent damage conditions to PF2e's damage application", async () => {
+    const roll = new DamageRoll("{(1d6+6)[piercing],(1d6)[persistent,bleed]}");
+    canvas.tokens.controlled = [{ document: tokens.goblin }];
+    await applyAlternativeCriticalDamage(createCard([roll]));
+
+    assert.equal(tokens.goblin.actor.applied.length, 1);
+    assert.equal(tokens.goblin.actor.applied[0].damage, roll);
+    assert.equal(tokens.goblin.actor.created.length, 0);
+  });
+
+  it("skips actors the user does not own", async () => {
+    const token = createToken("dragon", { isOwner: false });
+    canvas.tokens.controlled = [{ document: token }];
+    await applyAlternativeCriticalDamage(createCard([new DamageRoll("{1d6[fire]}")]));
+    assert.equal(token.actor.applied.length, 0);
+    assert.equal(notifications.messages[0].message, "You do not have permission to damage dragon");
+  });
+});
@@ -0,0 +1,77 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { DamageRoll, initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { captureDamageMessage, getCapturedDamage, rebuildDamageCaptureCache } from "../scripts/capture.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+const actor = { uuid: "Actor.valeros" };
+const item = { id: "rapier" };
+
+/**
+ * Post an attack roll to the chat log
+ */
+const postAttack = (id, timestamp) => {
+  const message = new ChatMessage({ id, actor, item, timestamp, flags: { pf2e: { context: { type: "attack-roll" } } } });
+  game.messages.contents.push(message);
+  return message;
+};
+
+/**
+ * Post a damage roll with its PF2e damage structure to the chat log
+ */
+const postDamage = (id, timestamp, formula) => {
+  const roll = new DamageRoll(formula);
+  roll.options = { damage: { damage: { base: [{ formula }] } } };
+  const message = new ChatMessage({ id, actor, item, timestamp, rolls: [roll] });
+  game.messages.contents.push(message);
+  return message;
+};
+
+describe("getCapturedDamage", () => {
+  beforeEach(() => {
+    resetStandIn();
+    rebuildDamageCaptureCache();
+  });
+
+  it("finds the damage rolled from an attack card", () => {
+    const attack = postAttack("attack", Date.now());
+    captureDamageMessage(postDamage("damage", Date.now(), "1d6+4"));
+    assert.equal(getCapturedDamage(attack, actor, item).damageMessageId, "damage");
+  });
+
+  it("never uses damage rolled from another attack for a card", () => {
+    postAttack("first", Date.now());
+    captureDamageMessage(postDamage("damage", Date.now(), "1d6+4"));
+    const second = postAttack("second", Date.now());
+    assert.equal(getCapturedDamage(second, actor, item), null);
+  });
+
+  it("uses the latest damage roll when no card is given", () => {
+    postAttack("first", Date.now());
+    captureDamageMessage(postDamage("older", Date.now() - 1000, "1d6+4"));
+    postAttack("second", Date.now());
+    captureDamageMessage(postDamage("newer", Date.now(), "1d6+5"));
+    assert.equal(getCapturedDamage(null, actor, item).damageMessageId, "newer");
+  });
+});
+
+describe("rebuildDamageCaptureCache", () => {
+  beforeEach(() => resetStandIn());
+
+  it("links each damage roll to the attack before it in the chat log", () => {
+    const now = Date.now();
+    const first = postAttack("first", now);
+    postDamage("first-damage", now + 1, "1d6+4");
+    const second = postAttack("second", now + 2);
+    postDamage("second-damage", now + 3, "1d6+5");
+    const third = postAttack("third", now + 4);
+    rebuildDamageCaptureCache();
+
+    assert.equal(getCapturedDamage(first, actor, item).damageMessageId, "first-damage");
+    assert.equal(getCapturedDamage(second, actor, item).damageMessageId, "second-damage");
+    assert.equal(getCapturedDamage(third, actor, item), null);
+  });
+});
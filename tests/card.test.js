@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule } from "./helpers/foundry.js";
+import { compareWithStandardCrit, describeComponents, splitComponentTerm } from "../scripts/card.js";
+import "../scripts/main.js";
+import { parseDamageData } from "../scripts/weapons.js";
+import * as damageData from "./fixtures/damage-data.js";
+
+initializeModule();
+
+describe("splitComponentTerm", () => {
+  it("separates rolled dice from fixed damage", () => {
+    assert.deepEqual(splitComponentTerm("2d6+12+8"), { rolled: "2d6", fixed: 20 });
+    assert.deepEqual(splitComponentTerm("2*(1d6+3)+6"), { rolled: "2*(1d6+3)", fixed: 6 });
+    assert.deepEqual(splitComponentTerm("1d8"), { rolled: "1d8", fixed: 0 });
+    assert.deepEqual(splitComponentTerm("-2"), { rolled: "", fixed: -2 });
+  });
+});
+
+describe("describeComponents", () => {
+  it("labels each component with its source", () => {
+    const rows = describeComponents(parseDamageData(damageData.strikingRapierCritical, true), true);
+    assert.deepEqual(
+      rows.map(({ label, rolled, fixed, category }) => [label, rolled, fixed, category]),
+      [
+        ["Weapon dice", "2d6", 12, ""],
+        ["Dexterity", "—", 8, ""],
+        ["Precise Strike", "—", 4, "precision"],
+        ["Deadly d8", "1d8", "—", ""],
+      ],
+    );
+  });
+});
+
+describe("compareWithStandardCrit", () => {
+  it("reports both averages, ranges and the difference", () => {
+    const comparison = compareWithStandardCrit(parseDamageData(damageData.strikingLongswordCritical, true));
+    assert.deepEqual(comparison.alternative, { mean: "37.0", min: 30, max: 44, rawMean: 37 });
+    assert.deepEqual(comparison.standard, { mean: "30.0", min: 16, max: 44, rawMean: 30 });
+    assert.equal(comparison.difference, "+7.0");
+  });
+});
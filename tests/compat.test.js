@@ -0,0 +1,136 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { notifications, resetStandIn } from "./helpers/foundry.js";
+import {
+  getApplicationBase,
+  getFoundryGeneration,
+  getRollMessageData,
+  hasApplicationV2,
+  onRenderChatMessage,
+  renderTemplate,
+  requireApplicationV2,
+  toElement,
+} from "../scripts/compat.js";
+
+const setRelease = (release, version) => {
+  game.release = release;
+  game.version = version;
+};
+
+describe("getFoundryGeneration", () => {
+  afterEach(() => setRelease(undefined, undefined));
+
+  it("reads the release generation", () => {
+    setRelease({ generation: 13 }, "13.345");
+    assert.equal(getFoundryGeneration(), 13);
+  });
+
+  it("falls back to the version string, then to 12", () => {
+    setRelease(undefined, "11.315");
+    assert.equal(getFoundryGeneration(), 11);
+    setRelease(undefined, undefined);
+    assert.equal(getFoundryGeneration(), 12);
+  });
+});
+
+describe("toElement", () => {
+  it("unwraps jQuery collections and passes elements through", () => {
+    const element = { tagName: "LI" };
+    assert.equal(toElement({ jquery: "3.7.1", 0: element, length: 1 }), element);
+    assert.equal(toElement(element), element);
+    assert.equal(toElement(undefined), null);
+  });
+});
+
+describe("onRenderChatMessage", () => {
+  afterEach(() => {
+    setRelease(undefined, undefined);
+    Hooks.handlers.delete("renderChatMessageHTML");
+  });
+
+  it("uses renderChatMessageHTML on v13", () => {
+    setRelease({ generation: 13 }, "13.345");
+    const calls = [];
+    onRenderChatMessage((message, html) => calls.push({ message, html }));
+
+    const element = { tagName: "LI" };
+    Hooks.callAll("renderChatMessageHTML", "message", element, {});
+    assert.deepEqual(calls, [{ message: "message", html: element }]);
+  });
+
+  it("unwraps the jQuery passed to renderChatMessage on older versions", () => {
+    setRelease({ generation: 12 }, "12.331");
+    const calls = [];
+    const handler = onRenderChatMessage((message, html) => calls.push({ message, html }));
+
+    const element = { tagName: "LI" };
+    handler("message", { jquery: "3.7.1", 0: element, length: 1 }, {});
+    assert.deepEqual(calls, [{ message: "message", html: element }]);
+    assert.ok(Hooks.handlers.get("renderChatMessage").some((entry) => entry.fn === handler));
+
+    Hooks.handlers.set(
+      "renderChatMessage",
+      Hooks.handlers.get("renderChatMessage").filter((entry) => entry.fn !== handler),
+    );
+  });
+});
+
+describe("getRollMessageData", () => {
+  afterEach(() => {
+    CONST.CHAT_MESSAGE_STYLES = { OTHER: 0 };
+  });
+
+  it("uses message styles where they exist", () => {
+    assert.deepEqual(getRollMessageData(), { style: 0 });
+  });
+
+  it("uses the roll message type on v11", () => {
+    delete CONST.CHAT_MESSAGE_STYLES;
+    assert.deepEqual(getRollMessageData(), { type: 5 });
+  });
+});
+
+describe("ApplicationV2 availability", () => {
+  const applications = foundry.applications;
+  afterEach(() => {
+    foundry.applications = applications;
+    resetStandIn();
+  });
+
+  it("uses ApplicationV2 where it exists", () => {
+    assert.equal(hasApplicationV2(), true);
+    assert.ok(getApplicationBase().prototype instanceof foundry.applications.api.ApplicationV2);
+    assert.equal(requireApplicationV2(), true);
+    assert.equal(notifications.messages.length, 0);
+  });
+
+  it("keeps windows declarable on v11 and warns when one is opened", () => {
+    delete foundry.applications;
+    assert.equal(hasApplicationV2(), false);
+    class Window extends getApplicationBase() {}
+    assert.ok(new Window());
+    assert.equal(requireApplicationV2(), false);
+    assert.deepEqual(notifications.messages, [
+      { type: "warn", message: "This window needs Foundry VTT v12 or later" },
+    ]);
+  });
+});
+
+describe("renderTemplate", () => {
+  const { handlebars } = foundry.applications;
+  afterEach(() => {
+    foundry.applications.handlebars = handlebars;
+  });
+
+  it("renders through foundry.applications.handlebars when it exists", async () => {
+    foundry.applications.handlebars = { renderTemplate: async (path) => `v13:${path}` };
+    assert.equal(await renderTemplate("card.hbs", {}), "v13:card.hbs");
+  });
+
+  it("falls back to the global renderTemplate on older versions", async () => {
+    delete foundry.applications.handlebars;
+    const rendered = await renderTemplate("card.hbs", { total: 3 });
+    assert.deepEqual(JSON.parse(rendered), { path: "card.hbs", data: { total: 3 } });
+  });
+});
@@ -0,0 +1,110 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule, resetStandIn } from "./helpers/foundry.js";
+import {
+  DEFAULT_COMPONENT_RULES,
+  getComponentBehaviour,
+  getComponentCategory,
+  getComponentRules,
+} from "../scripts/component-rules.js";
+import { componentTerm, createDamageComponent, serializeDamageFormula } from "../scripts/formula.js";
+import { componentsDistribution, summarize } from "../scripts/stats.js";
+import { getCritStrategy } from "../scripts/strategies.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+const rollPlusMax = { strategy: getCritStrategy("rollPlusMax"), doubleStatic: true };
+
+describe("getComponentCategory", () => {
+  it("puts damage categories before the component's source", () => {
+    const category = (data) => getComponentCategory(createDamageComponent(data));
+    assert.equal(category({ source: "striking" }), "striking");
+    assert.equal(category({ source: "deadly-d8", critical: "extra" }), "deadly");
+    assert.equal(category({ source: "fatal", critical: "extra" }), "fatal");
+    assert.equal(category({ source: "greaterShock", critical: "extra" }), "critOnly");
+    assert.equal(category({ source: "flaming", critical: "extra", category: "persistent" }), "persistent");
+    assert.equal(category({ source: "modifier", category: "precision" }), "precision");
+    assert.equal(category({ source: "persistent", category: "persistent" }), "persistent");
+    assert.equal(category({ source: "splash", category: "splash" }), "splash");
+    assert.equal(category({ source: "base" }), null);
+  });
+
+  it("keeps fatal and other crit-only dice out of the deadly rule", () => {
+    const rules = { ...DEFAULT_COMPONENT_RULES, deadly: "normal", critOnly: "maximize" };
+    const behaviour = (source) => getComponentBehaviour(createDamageComponent({ source, critical: "extra" }), rules);
+    assert.equal(behaviour("deadly-d8"), "normal");
+    assert.equal(behaviour("fatal"), "strategy");
+    assert.equal(behaviour("greaterShock"), "maximize");
+  });
+});
+
+describe("getComponentRules", () => {
+  beforeEach(resetStandIn);
+
+  it("fills categories missing from the saved setting with defaults", async () => {
+    await game.settings.set("alternative-crit-damage", "componentRules", { striking: "maximize" });
+    assert.deepEqual(getComponentRules(), { ...DEFAULT_COMPONENT_RULES, striking: "maximize" });
+  });
+
+  it("lets uncategorized components follow the crit rule", () => {
+    const base = createDamageComponent({ diceNumber: 1, dieSize: 8 });
+    assert.equal(getComponentBehaviour(base, { ...DEFAULT_COMPONENT_RULES, striking: "normal" }), "strategy");
+  });
+});
+
+describe("componentTerm with component rules", () => {
+  const striking = createDamageComponent({ source: "striking", diceNumber: 2, dieSize: 8, modifier: 1 });
+  const withRule = (behaviour) => ({ ...rollPlusMax, rules: { ...DEFAULT_COMPONENT_RULES, striking: behaviour } });
+
+  it("applies each behaviour on a crit", () => {
+    assert.equal(componentTerm(striking, true, withRule("strategy")), "2d8+16+2");
+    assert.equal(componentTerm(striking, true, withRule("maximize")), "16+2");
+    assert.equal(componentTerm(striking, true, withRule("double")), "2*(2d8+1)");
+    assert.equal(componentTerm(striking, true, withRule("normal")), "2d8+1");
+  });
+
+  it("never changes non-critical damage", () => {
+    assert.equal(componentTerm(striking, false, withRule("maximize")), "2d8+1");
+    assert.equal(componentTerm(striking, false, withRule("double")), "2d8+1");
+  });
+
+  it("never applies category rules to damage the crit does not change", () => {
+    const rules = { ...DEFAULT_COMPONENT_RULES, precision: "maximize", persistent: "double", striking: "maximize" };
+    const term = (data) =>
+      componentTerm(createDamageComponent({ ...data, critical: "none" }), true, { ...rollPlusMax, rules });
+    assert.equal(term({ diceNumber: 2, dieSize: 6, category: "precision" }), "2d6");
+    assert.equal(term({ diceNumber: 1, dieSize: 6, category: "persistent" }), "1d6");
+    assert.equal(term({ source: "striking", diceNumber: 1, dieSize: 8 }), "1d8");
+  });
+
+  it("can make splash damage follow the crit rule", () => {
+    const splash = createDamageComponent({ source: "splash", modifier: 1, category: "splash" });
+    const rules = { ...DEFAULT_COMPONENT_RULES, splash: "double" };
+    assert.equal(componentTerm(splash, true, { ...rollPlusMax, rules }), "2*(1)");
+    assert.equal(componentTerm(splash, true, rollPlusMax), "1");
+  });
+
+  it("reads the saved setting by default", async () => {
+    resetStandIn();
+    await game.settings.set("alternative-crit-damage", "componentRules", { persistent: "normal" });
+    const bleed = createDamageComponent({
+      source: "persistent",
+      diceNumber: 1,
+      dieSize: 6,
+      damageType: "bleed",
+      category: "persistent",
+    });
+    assert.equal(serializeDamageFormula([bleed], true, rollPlusMax), "{(1d6)[persistent,bleed]}");
+    resetStandIn();
+  });
+
+  it("keeps doubled components readable by the statistics", () => {
+    const dist = componentsDistribution([striking], true, withRule("double"));
+    const { mean, min, max } = summarize(dist);
+    assert.equal(mean, 20);
+    assert.equal(min, 6);
+    assert.equal(max, 34);
+  });
+});
@@ -0,0 +1,55 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { DamageRoll, createActor, initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { captureDamageMessage, rebuildDamageCaptureCache } from "../scripts/capture.js";
+import { CustomCritApp } from "../scripts/custom-crit.js";
+import "../scripts/main.js";
+import * as items from "./fixtures/items.js";
+
+initializeModule();
+
+/**
+ * Post an attack card and the damage rolled from it to the chat log
+ */
+const postAttackWithDamage = (id, actor, item, base) => {
+  const attack = new ChatMessage({ id, actor, item, flags: { pf2e: { context: { type: "attack-roll" } } } });
+  game.messages.contents.push(attack);
+
+  const roll = new DamageRoll("1d6");
+  roll.options = { damage: { damage: { base: [base], modifiers: [], dice: [] } } };
+  const damage = new ChatMessage({ id: `${id}-damage`, actor, item, timestamp: Date.now(), rolls: [roll] });
+  game.messages.contents.push(damage);
+  captureDamageMessage(damage);
+  return attack;
+};
+
+describe("CustomCritApp pre-filled from a card", () => {
+  beforeEach(() => {
+    resetStandIn();
+    rebuildDamageCaptureCache();
+  });
+
+  it("uses the damage captured for the card's own attack, not the latest one", () => {
+    const item = items.strikingRapier();
+    const actor = createActor({ items: [item] });
+    const first = postAttackWithDamage("first", actor, item, { diceNumber: 2, dieSize: 6, damageType: "piercing" });
+    postAttackWithDamage("second", actor, item, { diceNumber: 2, dieSize: 6, modifier: 9, damageType: "piercing" });
+
+    const app = new CustomCritApp({ actor, item, message: first });
+    assert.deepEqual(
+      app.rows.map(({ source, num, mod }) => [source, num, mod]),
+      [
+        ["base", 1, 0],
+        ["striking", 1, 0],
+      ],
+    );
+  });
+
+  it("fills spells in at the rank they were cast with", () => {
+    const item = items.fireball();
+    const message = new ChatMessage({ item, flags: { pf2e: { casting: { castRank: 4 } } } });
+    const app = new CustomCritApp({ actor: createActor({ items: [item] }), item, message });
+    assert.equal(app.rows[0].num, 8);
+  });
+});
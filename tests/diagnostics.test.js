@@ -0,0 +1,75 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { createActor, initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { buildDiagnosticReport, formatDiagnosticReport, toPlainData } from "../scripts/diagnostics.js";
+import { MODULE_VERSION } from "../scripts/constants.js";
+import "../scripts/main.js";
+import * as damageData from "./fixtures/damage-data.js";
+import * as items from "./fixtures/items.js";
+
+initializeModule();
+
+describe("toPlainData", () => {
+  it("keeps plain data and drops functions", () => {
+    const plain = toPlainData({ formula: "1d6", count: 2, enabled: true, missing: undefined, test: () => true });
+    assert.deepEqual(plain, { formula: "1d6", count: 2, enabled: true, missing: null });
+  });
+
+  it("replaces documents with their uuid and name", () => {
+    const actor = { documentName: "Actor", uuid: "Actor.valeros", name: "Valeros", items: [] };
+    assert.deepEqual(toPlainData({ actor }), { actor: { uuid: "Actor.valeros", name: "Valeros" } });
+  });
+
+  it("marks circular references but keeps shared ones", () => {
+    const shared = { value: 1 };
+    const modifier = { label: "Precise Strike", a: shared, b: shared };
+    modifier.self = modifier;
+    assert.deepEqual(toPlainData(modifier), {
+      label: "Precise Strike",
+      a: { value: 1 },
+      b: { value: 1 },
+      self: "[Circular]",
+    });
+  });
+
+  it("uses toJSON and converts maps and sets", () => {
+    const roll = { formula: "{1d6[fire]}", toJSON: () => ({ formula: "{1d6[fire]}", total: 4 }) };
+    assert.deepEqual(toPlainData({ roll, tags: new Set(["deadly-d8"]), dice: new Map([["d8", 1]]) }), {
+      roll: { formula: "{1d6[fire]}", total: 4 },
+      tags: ["deadly-d8"],
+      dice: { d8: 1 },
+    });
+  });
+});
+
+describe("buildDiagnosticReport", () => {
+  beforeEach(() => resetStandIn());
+
+  it("collects the module, settings, item damage, path and formula", () => {
+    const item = items.strikingRapier();
+    const actor = createActor({ items: [item] });
+    const report = buildDiagnosticReport({
+      item,
+      actor,
+      path: "captured",
+      damageData: damageData.strikingRapierCritical,
+      formula: "{(1d6+6+6+1d8)[piercing]}",
+    });
+
+    assert.deepEqual(report.module, { id: "alternative-crit-damage", version: MODULE_VERSION });
+    assert.equal(report.settings.critStrategy, "rollPlusMax");
+    assert.equal(report.settings.logLevel, "warn");
+    assert.equal(report.settings.rollPermission, "owner");
+    assert.equal(report.item.name, item.name);
+    assert.deepEqual(report.item.damage, item.system.damage);
+    assert.equal(report.path, "captured");
+    assert.deepEqual(report.damageData, JSON.parse(JSON.stringify(damageData.strikingRapierCritical)));
+    assert.equal(report.formula, "{(1d6+6+6+1d8)[piercing]}");
+  });
+
+  it("formats as JSON that parses back to the report", () => {
+    const report = buildDiagnosticReport({ path: "legacy", formula: "{6d6[fire]}" });
+    assert.deepEqual(JSON.parse(formatDiagnosticReport(report)), report);
+  });
+});
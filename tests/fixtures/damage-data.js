@@ -0,0 +1,51 @@
+/**
+ * Recorded PF2e Damage Structures
+ * `roll.options.damage.damage` as posted by the PF2e system for common strikes,
+ * trimmed to the fields the module reads.
+ */
+
+// +1 striking longsword, Strength +4, weapon specialization, critical hit
+export const strikingLongswordCritical = {
+  base: [{ diceNumber: 2, dieSize: "d8", modifier: 0, damageType: "slashing", category: null, materials: [] }],
+  modifiers: [
+    { slug: "str", label: "Strength", modifier: 4, enabled: true, ignored: false, damageType: null, damageCategory: null },
+    { slug: "weapon-specialization", label: "Weapon Specialization", modifier: 2, enabled: true, ignored: false, damageType: null, damageCategory: null },
+  ],
+  dice: [],
+};
+
+// +1 striking rapier (deadly d8), Dexterity to damage via a rule element, Precise Strike
+export const strikingRapierCritical = {
+  base: [{ diceNumber: 2, dieSize: "d6", modifier: 0, damageType: "piercing", category: null, materials: [] }],
+  modifiers: [
+    { slug: "dex", label: "Dexterity", modifier: 4, enabled: true, ignored: false, damageType: null, damageCategory: null },
+    { slug: "precise-strike", label: "Precise Strike", modifier: 2, enabled: true, ignored: false, damageType: null, damageCategory: "precision" },
+    { slug: "disabled-bonus", label: "Disabled", modifier: 5, enabled: false, ignored: false, damageType: null, damageCategory: null },
+  ],
+  dice: [
+    { slug: "deadly-d8", label: "Deadly d8", diceNumber: 1, dieSize: "d8", critical: true, enabled: true, ignored: false, damageType: null, category: null },
+  ],
+};
+
+// Pick (fatal d10), Strength +3, critical hit
+export const pickCritical = {
+  base: [{ diceNumber: 1, dieSize: "d6", modifier: 0, damageType: "piercing", category: null, materials: [] }],
+  modifiers: [
+    { slug: "str", label: "Strength", modifier: 3, enabled: true, ignored: false, damageType: null, damageCategory: null },
+  ],
+  dice: [
+    { slug: "fatal-d10", label: "Fatal d10", diceNumber: 1, dieSize: "d10", critical: true, override: { dieSize: "d10" }, enabled: true, ignored: false, damageType: null, category: null },
+  ],
+};
+
+// Shortsword with sneak attack and a flaming rune, Dexterity +4
+export const sneakAttackFlamingShortsword = {
+  base: [{ diceNumber: 1, dieSize: "d6", modifier: 0, damageType: "piercing", category: null, materials: [] }],
+  modifiers: [
+    { slug: "dex", label: "Dexterity", modifier: 4, enabled: true, ignored: false, damageType: null, damageCategory: null },
+  ],
+  dice: [
+    { slug: "sneak-attack", label: "Sneak Attack", diceNumber: 1, dieSize: "d6", critical: null, enabled: true, ignored: false, damageType: null, category: "precision" },
+    { slug: "flaming", label: "Flaming", diceNumber: 1, dieSize: "d6", critical: null, enabled: true, ignored: false, damageType: "fire", category: null },
+  ],
+};
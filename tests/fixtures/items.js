@@ -0,0 +1,112 @@
+/**
+ * Item Fixtures
+ * PF2e weapon and spell item data in the shape the legacy parsers read.
+ * Weapon dice are prepared data, so they include the striking rune's dice.
+ * Each export is a factory, so tests can change a copy freely.
+ */
+
+export const strikingRapier = () => ({
+  id: "rapier",
+  uuid: "Actor.valeros.Item.rapier",
+  name: "+1 Striking Rapier",
+  type: "weapon",
+  system: {
+    category: "martial",
+    damage: { dice: 2, die: "d6", damageType: "piercing", modifier: 0, persistent: { number: 2, faces: null, type: "bleed" } },
+    runes: { potency: 1, striking: 1, property: [] },
+    traits: { value: ["deadly-d8", "disarm", "finesse"] },
+    equipped: { carryType: "held", handsHeld: 1 },
+  },
+});
+
+export const greaterStrikingPick = () => ({
+  id: "pick",
+  uuid: "Actor.valeros.Item.pick",
+  name: "+2 Greater Striking Pick",
+  type: "weapon",
+  system: {
+    category: "martial",
+    damage: { dice: 3, die: "d6", damageType: "piercing", modifier: 0 },
+    runes: { potency: 2, striking: 2, property: [] },
+    traits: { value: ["fatal-d10"] },
+    equipped: { carryType: "held", handsHeld: 1 },
+  },
+});
+
+export const flamingLongsword = () => ({
+  id: "longsword",
+  uuid: "Actor.valeros.Item.longsword",
+  name: "+2 Greater Striking Flaming Longsword",
+  type: "weapon",
+  system: {
+    category: "martial",
+    damage: { dice: 3, die: "d8", damageType: "slashing", modifier: 0 },
+    bonusDamage: { value: 1 },
+    runes: { potency: 2, striking: 2, property: ["flaming"] },
+    traits: { value: ["deadly-d8", "versatile-p"] },
+    equipped: { carryType: "held", handsHeld: 1 },
+  },
+});
+
+// Older PF2e item schema with separate striking and property rune fields
+export const oldSchemaGreatsword = () => ({
+  id: "greatsword",
+  uuid: "Actor.valeros.Item.greatsword",
+  name: "+3 Major Striking Greater Flaming Greatsword",
+  type: "weapon",
+  system: {
+    category: "martial",
+    damage: { dice: 4, die: "d12", damageType: "slashing", modifier: 0 },
+    strikingRune: { value: "majorStriking" },
+    propertyRune1: { value: "greaterFlaming" },
+    propertyRune2: { value: null },
+    traits: { value: ["versatile-p"] },
+    equipped: { carryType: "held", handsHeld: 2 },
+  },
+});
+
+export const alchemistsFire = () => ({
+  id: "fire",
+  uuid: "Actor.valeros.Item.fire",
+  name: "Alchemist's Fire (Lesser)",
+  type: "weapon",
+  system: {
+    category: "martial",
+    damage: { dice: 1, die: "d8", damageType: "fire", modifier: 0, persistent: { number: 1, faces: null, type: "fire" } },
+    splashDamage: { value: 1 },
+    runes: { potency: 0, striking: 0, property: [] },
+    traits: { value: ["bomb", "splash"] },
+    equipped: { carryType: "held", handsHeld: 1 },
+  },
+});
+
+export const fireball = () => ({
+  id: "fireball",
+  uuid: "Actor.ezren.Item.fireball",
+  name: "Fireball",
+  type: "spell",
+  system: {
+    level: { value: 3 },
+    damage: { 0: { formula: "6d6", type: "fire", category: null, applyMod: false } },
+    heightening: { type: "interval", interval: 1, damage: { 0: "2d6" } },
+    defense: { save: { statistic: "reflex", basic: true } },
+  },
+  getRollData: () => ({}),
+});
+
+export const acidArrow = () => ({
+  id: "acid-arrow",
+  uuid: "Actor.ezren.Item.acid-arrow",
+  name: "Acid Arrow",
+  type: "spell",
+  system: {
+    level: { value: 2 },
+    damage: {
+      0: { formula: "3d8", type: "acid", category: null, applyMod: false },
+      1: { formula: "1d6", type: "acid", category: "persistent", applyMod: false },
+    },
+    heightening: { type: "interval", interval: 2, damage: { 0: "2d8", 1: "1d6" } },
+    defense: null,
+  },
+  getRollData: () => ({}),
+});
@@ -0,0 +1,222 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { DEFAULT_COMPONENT_RULES } from "../scripts/component-rules.js";
+import {
+  componentTerm,
+  createDamageComponent,
+  describeOnceRolls,
+  maximizedDice,
+  rollOnceComponents,
+  serializeDamageFormula,
+  typeDamageFormula,
+} from "../scripts/formula.js";
+import { evaluateCritRoll, getCritStrategy } from "../scripts/strategies.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+describe("typeDamageFormula", () => {
+  it("types plain, categorized and persistent formulas", () => {
+    assert.equal(typeDamageFormula("(1d6+6)", "piercing"), "(1d6+6)[piercing]");
+    assert.equal(typeDamageFormula("1d6", "piercing", "precision"), "((1d6)[precision])[piercing]");
+    assert.equal(typeDamageFormula("1d6", "bleed", "persistent"), "(1d6)[persistent,bleed]");
+    assert.equal(typeDamageFormula("4", ""), "4[untyped]");
+  });
+});
+
+describe("maximizedDice", () => {
+  it("writes a flat maximum or dice locked at their highest face", () => {
+    assert.equal(maximizedDice(2, 6), "12");
+    assert.equal(maximizedDice(2, 6, { locked: true }), "2d6min6");
+  });
+});
+
+describe("createDamageComponent", () => {
+  it("fills defaults and reads die sizes written as dN", () => {
+    assert.deepEqual(createDamageComponent({ diceNumber: 2, dieSize: "d8", damageType: null }), {
+      source: "base",
+      label: "",
+      diceNumber: 2,
+      dieSize: 8,
+      modifier: 0,
+      damageType: "untyped",
+      category: "",
+      critical: "double",
+    });
+  });
+});
+
+describe("componentTerm", () => {
+  const base = createDamageComponent({ diceNumber: 2, dieSize: 6, modifier: 3, damageType: "slashing" });
+
+  it("applies each crit strategy to base dice", () => {
+    const terms = Object.fromEntries(
+      ["rollPlusMax", "maximize", "doubleDice", "rollTwiceKeepHigher", "maxBaseRollExtras"].map((id) => [
+        id,
+        componentTerm(base, true, { strategy: getCritStrategy(id), doubleStatic: true }),
+      ]),
+    );
+    assert.deepEqual(terms, {
+      rollPlusMax: "2d6+12+6",
+      maximize: "12+6",
+      doubleDice: "4d6+3",
+      rollTwiceKeepHigher: "2d6+6",
+      maxBaseRollExtras: "12+6",
+    });
+  });
+
+  it("writes maximized dice as locked dice when asked", () => {
+    const terms = Object.fromEntries(
+      ["rollPlusMax", "maximize", "doubleDice", "maxBaseRollExtras"].map((id) => [
+        id,
+        componentTerm(base, true, { strategy: getCritStrategy(id), doubleStatic: true, lockedDice: true }),
+      ]),
+    );
+    assert.deepEqual(terms, {
+      rollPlusMax: "2d6+2d6min6+6",
+      maximize: "2d6min6+6",
+      doubleDice: "4d6+3",
+      maxBaseRollExtras: "2d6min6+6",
+    });
+
+    const striking = createDamageComponent({ source: "striking", diceNumber: 1, dieSize: 8 });
+    const rules = { striking: "maximize" };
+    assert.equal(componentTerm(striking, true, { rules, lockedDice: true }), "1d8min8");
+  });
+
+  it("leaves static modifiers alone when doubling is off", () => {
+    const strategy = getCritStrategy("rollPlusMax");
+    assert.equal(componentTerm(base, true, { strategy, doubleStatic: false }), "2d6+12+3");
+  });
+
+  it("drops crit-only dice from normal damage", () => {
+    const deadly = createDamageComponent({ source: "deadly", diceNumber: 1, dieSize: 8, critical: "extra" });
+    assert.equal(componentTerm(deadly, false), "");
+    assert.equal(componentTerm(deadly, true), "1d8");
+  });
+
+  it("never changes splash damage on a crit", () => {
+    const splash = createDamageComponent({ modifier: 1, category: "splash" });
+    assert.equal(componentTerm(splash, true), "1");
+  });
+});
+
+describe("serializeDamageFormula", () => {
+  beforeEach(() => resetStandIn());
+
+  it("merges components of one damage type and keeps categories inside the instance", () => {
+    const formula = serializeDamageFormula(
+      [
+        createDamageComponent({ diceNumber: 2, dieSize: 8, damageType: "piercing" }),
+        createDamageComponent({ source: "modifier", modifier: 4, damageType: "piercing" }),
+        createDamageComponent({ source: "modifier", modifier: 2, damageType: "piercing", category: "precision" }),
+        createDamageComponent({ diceNumber: 1, dieSize: 6, damageType: "fire" }),
+      ],
+      false,
+    );
+    assert.equal(formula, "{(2d8+4+(2)[precision])[piercing],1d6[fire]}");
+  });
+
+  it("writes a lone categorized component as a nested instance", () => {
+    const formula = serializeDamageFormula(
+      [createDamageComponent({ diceNumber: 1, dieSize: 6, damageType: "piercing", category: "precision" })],
+      false,
+    );
+    assert.equal(formula, "{((1d6)[precision])[piercing]}");
+  });
+
+  it("keeps every persistent component as its own instance", () => {
+    const formula = serializeDamageFormula(
+      [
+        createDamageComponent({ diceNumber: 1, dieSize: 8, damageType: "fire" }),
+        createDamageComponent({ modifier: 1, damageType: "fire", category: "persistent" }),
+      ],
+      false,
+    );
+    assert.equal(formula, "{1d8[fire],(1)[persistent,fire]}");
+  });
+
+  it("follows the critStrategy and doubleStatic settings by default", async () => {
+    const components = [createDamageComponent({ diceNumber: 1, dieSize: 8, modifier: 4, damageType: "slashing" })];
+    assert.equal(serializeDamageFormula(components, true), "{(1d8+8+8)[slashing]}");
+
+    await game.settings.set("alternative-crit-damage", "critStrategy", "doubleDice");
+    assert.equal(serializeDamageFormula(components, true), "{(2d8+4)[slashing]}");
+  });
+
+  it("returns an empty formula when nothing deals damage", () => {
+    assert.equal(serializeDamageFormula([createDamageComponent()], true), "");
+  });
+});
+
+describe("evaluateCritRoll", () => {
+  // Rolls that evaluate to the given totals in turn
+  const rollsWithTotals = (...totals) => () => {
+    const roll = { total: totals.shift() };
+    roll.evaluate = async () => roll;
+    return roll;
+  };
+
+  it("keeps the higher of two whole rolls when the strategy asks for it", async () => {
+    const strategy = getCritStrategy("rollTwiceKeepHigher");
+    const { roll, discarded } = await evaluateCritRoll(rollsWithTotals(14, 21), strategy);
+    assert.deepEqual([roll.total, discarded.total], [21, 14]);
+  });
+
+  it("rolls once for other strategies and for damage that is not a crit", async () => {
+    const once = await evaluateCritRoll(rollsWithTotals(14, 21), getCritStrategy("rollPlusMax"));
+    assert.deepEqual([once.roll.total, once.discarded], [14, null]);
+    const normal = await evaluateCritRoll(rollsWithTotals(14, 21));
+    assert.deepEqual([normal.roll.total, normal.discarded], [14, null]);
+  });
+});
+
+describe("rollOnceComponents", () => {
+  const components = [
+    createDamageComponent({ diceNumber: 1, dieSize: 8, modifier: 4, damageType: "slashing" }),
+    createDamageComponent({
+      source: "precision",
+      diceNumber: 1,
+      dieSize: 6,
+      damageType: "slashing",
+      category: "precision",
+    }),
+    createDamageComponent({ source: "splash", diceNumber: 1, dieSize: 4, damageType: "fire", category: "splash" }),
+    createDamageComponent({ source: "bleed", diceNumber: 1, dieSize: 6, damageType: "bleed", category: "persistent" }),
+  ];
+  const options = {
+    strategy: getCritStrategy("rollTwiceKeepHigher"),
+    rules: { ...DEFAULT_COMPONENT_RULES, precision: "normal" },
+  };
+
+  it("rolls the damage the strategy does not govern once, as flat components", async () => {
+    const StandIn = globalThis.Roll;
+    globalThis.Roll = class extends StandIn {
+      async evaluate() {
+        await super.evaluate();
+        this.total = 3;
+        return this;
+      }
+    };
+    try {
+      const once = await rollOnceComponents(components, true, options);
+      assert.deepEqual(once.rolls.map((roll) => roll.formula), ["1d6", "1d4"]);
+      assert.equal(describeOnceRolls(once.rolls), "1d6 = 3, 1d4 = 3");
+      assert.equal(
+        serializeDamageFormula(once.components, true, options),
+        "{(1d8+8+(3)[precision])[slashing],((3)[splash])[fire],(1d6)[persistent,bleed]}",
+      );
+    } finally {
+      globalThis.Roll = StandIn;
+    }
+  });
+
+  it("leaves the components alone for other strategies and for damage that is not a crit", async () => {
+    const other = await rollOnceComponents(components, true, { strategy: getCritStrategy("rollPlusMax") });
+    assert.deepEqual([other.components, other.rolls], [components, []]);
+    const normal = await rollOnceComponents(components, false, options);
+    assert.deepEqual([normal.components, normal.rolls], [components, []]);
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * Foundry VTT / PF2e Stand-in
+ * Lightweight globals the module's scripts use, so calculation code runs
+ * headless under `node --test`. Import this before any module script.
+ */
+
+import { readFileSync } from "node:fs";
+
+const MODULE_ID = "alternative-crit-damage";
+
+/**
+ * Flatten the module's nested language file into dotted keys, as Foundry does
+ */
+function flattenTranslations(object, prefix = "") {
+  return Object.entries(object).reduce((flat, [key, value]) => {
+    const id = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object") Object.assign(flat, flattenTranslations(value, id));
+    else flat[id] = value;
+    return flat;
+  }, {});
+}
+
+const translations = flattenTranslations(
+  JSON.parse(readFileSync(new URL("../../lang/en.json", import.meta.url), "utf8")),
+);
+
+/**
+ * Hooks registry that records handlers and can fire them
+ */
+class HooksStandIn {
+  static handlers = new Map();
+
+  static on(name, fn) {
+    if (!this.handlers.has(name)) this.handlers.set(name, []);
+    this.handlers.get(name).push({ fn, once: false });
+    return fn;
+  }
+
+  static once(name, fn) {
+    if (!this.handlers.has(name)) this.handlers.set(name, []);
+    this.handlers.get(name).push({ fn, once: true });
+    return fn;
+  }
+
+  static callAll(name, ...args) {
+    const handlers = this.handlers.get(name) ?? [];
+    this.handlers.set(
+      name,
+      handlers.filter((handler) => !handler.once),
+    );
+    for (const handler of handlers) handler.fn(...args);
+    return true;
+  }
+
+  static call(name, ...args) {
+    for (const handler of this.handlers.get(name) ?? []) {
+      if (handler.fn(...args) === false) return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * World and client settings with registered defaults
+ */
+class SettingsStandIn {
+  registered = new Map();
+  values = new Map();
+  menus = new Map();
+
+  register(namespace, key, config) {
+    this.registered.set(`${namespace}.${key}`, config);
+  }
+
+  registerMenu(namespace, key, config) {
+    this.menus.set(`${namespace}.${key}`, config);
+  }
+
+  get(namespace, key) {
+    const id = `${namespace}.${key}`;
+    if (this.values.has(id)) return this.values.get(id);
+    if (namespace === "core" && key === "rollMode") return "publicroll";
+    if (!this.registered.has(id)) throw new Error(`Setting ${id} is not registered`);
+    return this.registered.get(id).default;
+  }
+
+  async set(namespace, key, value) {
+    this.values.set(`${namespace}.${key}`, value);
+    return value;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+// Dice terms in the shape PF2e and the module read from a parsed roll
+class RollTerm {}
+class DiceTerm extends RollTerm {
+  constructor({ number, faces, modifiers = [], options = {} }) {
+    super();
+    this.number = number;
+    this.faces = faces;
+    this.modifiers = modifiers;
+    this.options = options;
+  }
+}
+class NumericTerm extends RollTerm {
+  constructor({ number }) {
+    super();
+    this.number = number;
+  }
+}
+class OperatorTerm extends RollTerm {
+  constructor({ operator }) {
+    super();
+    this.operator = operator;
+  }
+}
+
+/**
+ * Roll stand-in that parses simple arithmetic dice formulas (`2d6+1d4min4-1`)
+ * Evaluating gives a total of 0; tests look at formulas, not results
+ */
+class Roll {
+  constructor(formula, data = {}) {
+    this.formula = String(formula);
+    this.data = data;
+    this.options = {};
+    this.terms = Roll.parse(this.formula);
+    this._evaluated = false;
+  }
+
+  static parse(formula) {
+    const terms = [];
+    for (const token of formula.replace(/\s+/g, "").match(/\d*d\d+(?:min\d+)?|\d+|[+\-*/]/g) ?? []) {
+      const dice = token.match(/^(\d*)d(\d+)(min\d+)?$/);
+      if (dice) {
+        const modifiers = dice[3] ? [dice[3]] : [];
+        terms.push(new DiceTerm({ number: Number(dice[1] || 1), faces: Number(dice[2]), modifiers }));
+      } else if (/^\d+$/.test(token)) {
+        terms.push(new NumericTerm({ number: Number(token) }));
+      } else {
+        terms.push(new OperatorTerm({ operator: token }));
+      }
+    }
+    return terms;
+  }
+
+  get dice() {
+    return this.terms.filter((term) => term instanceof DiceTerm);
+  }
+
+  async evaluate() {
+    this._evaluated = true;
+    this.total = 0;
+    return this;
+  }
+
+  async roll() {
+    return this.evaluate();
+  }
+
+  async render() {
+    return `<div class="dice-roll">${this.formula}</div>`;
+  }
+}
+
+/**
+ * PF2e DamageRoll stand-in; the module only needs its name, formula and instances
+ */
+class DamageRoll extends Roll {
+  get instances() {
+    return [];
+  }
+}
+
+/**
+ * ChatMessage stand-in that records created messages
+ * Created messages join game.messages; every message is owned by the current user
+ */
+class ChatMessage {
+  static created = [];
+  static nextId = 1;
+
+  constructor(data) {
+    Object.assign(this, { id: `message${ChatMessage.nextId++}`, isOwner: true, flags: {} }, data);
+  }
+
+  static async create(data) {
+    const message = new ChatMessage(data);
+    ChatMessage.created.push(message);
+    game.messages.contents.push(message);
+    return message;
+  }
+
+  async setFlag(scope, key, value) {
+    this.flags[scope] = { ...this.flags[scope], [key]: value };
+    return this;
+  }
+
+  static getSpeaker({ actor } = {}) {
+    return { actor: actor?.id ?? null, alias: actor?.name ?? "" };
+  }
+}
+
+// ApplicationV2 stand-ins, enough for the Custom Crit class to be declared
+class ApplicationV2 {
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  render() {
+    return this;
+  }
+}
+const HandlebarsApplicationMixin = (Base) => class extends Base {};
+
+/**
+ * Record notifications instead of showing them
+ */
+const notifications = {
+  messages: [],
+  info(message) {
+    this.messages.push({ type: "info", message });
+  },
+  warn(message) {
+    this.messages.push({ type: "warn", message });
+  },
+  error(message) {
+    this.messages.push({ type: "error", message });
+  },
+};
+
+/**
+ * Users collection with the current user and any users a test adds
+ */
+class UsersStandIn {
+  contents = [];
+
+  get(id) {
+    return this.contents.find((user) => user.id === id) ?? null;
+  }
+
+  get activeGM() {
+    return this.contents.find((user) => user.isGM && user.active) ?? null;
+  }
+}
+
+/**
+ * Socket that records emitted data and the registered handlers
+ */
+const socket = {
+  emitted: [],
+  handlers: new Map(),
+  emit(name, data) {
+    this.emitted.push({ name, data });
+  },
+  on(name, fn) {
+    this.handlers.set(name, fn);
+  },
+};
+
+const deepClone = (value) => (value === undefined ? value : structuredClone(value));
+
+function mergeObject(original, other = {}, { inplace = true } = {}) {
+  const target = inplace ? original : deepClone(original);
+  for (const [key, value] of Object.entries(other)) {
+    if (value && typeof value === "object" && !Array.isArray(value) && typeof target[key] === "object") {
+      target[key] = mergeObject(target[key], value, { inplace: true });
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+globalThis.Hooks = HooksStandIn;
+globalThis.Roll = Roll;
+globalThis.ChatMessage = ChatMessage;
+globalThis.ui = { notifications };
+globalThis.CONST = { CHAT_MESSAGE_TYPES: { ROLL: 5 }, CHAT_MESSAGE_STYLES: { OTHER: 0 } };
+globalThis.CONFIG = {
+  Dice: { rolls: [Roll, DamageRoll] },
+  PF2E: { damageTypes: { piercing: "Piercing", slashing: "Slashing", fire: "Fire", bleed: "Bleed" } },
+};
+globalThis.foundry = {
+  utils: { deepClone, mergeObject },
+  dice: { terms: { RollTerm, DiceTerm, NumericTerm, OperatorTerm } },
+  applications: { api: { ApplicationV2, HandlebarsApplicationMixin } },
+};
+globalThis.game = {
+  settings: new SettingsStandIn(),
+  i18n: {
+    lang: "en",
+    localize: (key) => translations[key] ?? key,
+    format: (key, data = {}) =>
+      (translations[key] ?? key).replace(/{(\w+)}/g, (match, name) => (name in data ? data[name] : match)),
+  },
+  messages: {
+    contents: [],
+    get(id) {
+      return this.contents.find((message) => message.id === id) ?? null;
+    },
+  },
+  modules: new Map([[MODULE_ID, { id: MODULE_ID, active: true }]]),
+  user: { id: "user", name: "Gamemaster", isGM: true, active: true, targets: new Set() },
+  users: new UsersStandIn(),
+  socket,
+  system: { id: "pf2e" },
+};
+game.users.contents.push(game.user);
+// Templates render to their path and data; v13 keeps renderTemplate in foundry.applications.handlebars
+const renderTemplate = async (path, data) => JSON.stringify({ path, data });
+globalThis.renderTemplate = renderTemplate;
+foundry.applications.handlebars = { renderTemplate };
+globalThis.fromUuidSync = () => null;
+globalThis.fromUuid = async () => null;
+
+/**
+ * Run the module's init hooks so its settings are registered
+ */
+export function initializeModule() {
+  Hooks.callAll("init");
+}
+
+/**
+ * Reset settings, created messages and notifications between tests
+ */
+export function resetStandIn() {
+  game.settings.reset();
+  game.users.contents = [game.user];
+  game.messages.contents.length = 0;
+  socket.emitted.length = 0;
+  ChatMessage.created.length = 0;
+  notifications.messages.length = 0;
+}
+
+/**
+ * Create a user stand-in and add it to game.users
+ */
+export function createUser({ id = "player", name = "Player", isGM = false, active = true } = {}) {
+  const user = { id, name, isGM, active, targets: new Set() };
+  game.users.contents.push(user);
+  return user;
+}
+
+/**
+ * Create an actor stand-in with ability modifiers and items
+ * owners lists the ids of non-GM users who own the actor
+ */
+export function createActor({ name = "Valeros", abilities = {}, items = [], actions = [], owners = [] } = {}) {
+  const actor = {
+    id: name.toLowerCase(),
+    uuid: `Actor.${name.toLowerCase()}`,
+    name,
+    isOwner: true,
+    system: {
+      abilities: Object.fromEntries(
+        ["str", "dex", "con", "int", "wis", "cha"].map((key) => [key, { mod: abilities[key] ?? 0 }]),
+      ),
+      actions,
+    },
+    items: new Map(),
+    getRollData: () => ({}),
+    testUserPermission: (user) => !!user?.isGM || owners.includes(user?.id),
+  };
+  for (const item of items) {
+    item.actor = actor;
+    actor.items.set(item.id, item);
+  }
+  return actor;
+}
+
+export { ChatMessage, DamageRoll, Roll, notifications, socket };
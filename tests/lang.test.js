@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+
+import "./helpers/foundry.js";
+
+const root = new URL("../", import.meta.url);
+const en = JSON.parse(readFileSync(new URL("lang/en.json", root), "utf8"));
+
+/**
+ * Read every script, template and the macro, which is where keys are used
+ */
+function readSources() {
+  const files = [
+    ...readdirSync(new URL("scripts/", root)).map((file) => `scripts/${file}`),
+    ...readdirSync(new URL("templates/", root)).map((file) => `templates/${file}`),
+    "custom-crit-macro",
+  ];
+  return files.map((file) => ({ file, source: readFileSync(new URL(file, root), "utf8") }));
+}
+
+/**
+ * Look up a dotted key in the nested language file
+ */
+function lookup(key) {
+  return key.split(".").reduce((node, part) => node?.[part], en);
+}
+
+describe("lang/en.json", () => {
+  it("has every key the module uses", () => {
+    const missing = [];
+    for (const { file, source } of readSources()) {
+      // Keys built at runtime (`ALTCRIT.Sources.${source}`) end at their group
+      for (const [key] of source.matchAll(/ALTCRIT(?:\.\w+)+/g)) {
+        if (lookup(key) === undefined) missing.push(`${file}: ${key}`);
+      }
+    }
+    assert.deepEqual(missing, []);
+  });
+
+  it("is declared in module.json", () => {
+    const manifest = JSON.parse(readFileSync(new URL("module.json", root), "utf8"));
+    assert.deepEqual(manifest.languages, [{ lang: "en", name: "English", path: "lang/en.json" }]);
+  });
+
+  it("formats placeholders", () => {
+    assert.equal(game.i18n.format("ALTCRIT.CustomCrit.TitleActor", { name: "Valeros" }), "Custom Crit: Valeros");
+  });
+});
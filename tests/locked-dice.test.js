@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule, resetStandIn } from "./helpers/foundry.js";
+import {
+  LOCKED_DICE_COLORSET,
+  applyLockedDiceAppearance,
+  isLockedDiceEnabled,
+  isLockedDie,
+  markLockedDice,
+  registerLockedDiceColorset,
+} from "../scripts/locked-dice.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+/**
+ * Tooltip part stand-in that records its classes
+ */
+const createPart = () => {
+  const part = { classes: new Set() };
+  part.classList = { add: (name) => part.classes.add(name) };
+  return part;
+};
+
+/**
+ * Element stand-in for a rendered message; each roll is a list of tooltip parts
+ */
+const createMessageElement = (rolls) => {
+  const rollElements = rolls.map((parts) => ({ querySelectorAll: () => parts }));
+  return { querySelectorAll: () => rollElements };
+};
+
+describe("isLockedDie", () => {
+  it("recognizes dice that cannot roll below their highest face", () => {
+    const [plain, locked, other] = new Roll("2d6+2d6min6+1d8min6").dice;
+    assert.equal(isLockedDie(plain), false);
+    assert.equal(isLockedDie(locked), true);
+    assert.equal(isLockedDie(other), false);
+    assert.equal(isLockedDie(null), false);
+  });
+});
+
+describe("isLockedDiceEnabled", () => {
+  beforeEach(() => resetStandIn());
+
+  it("is off by default and follows the setting", async () => {
+    assert.equal(isLockedDiceEnabled(), false);
+    await game.settings.set("alternative-crit-damage", "lockedDice", true);
+    assert.equal(isLockedDiceEnabled(), true);
+  });
+});
+
+describe("applyLockedDiceAppearance", () => {
+  afterEach(() => game.modules.delete("dice-so-nice"));
+
+  it("gives locked dice the Dice So Nice colorset", () => {
+    game.modules.set("dice-so-nice", { id: "dice-so-nice", active: true });
+    const roll = applyLockedDiceAppearance(new Roll("2d6+2d6min6"));
+    assert.equal(roll.dice[0].options.appearance, undefined);
+    assert.deepEqual(roll.dice[1].options.appearance, { colorset: LOCKED_DICE_COLORSET });
+  });
+
+  it("leaves rolls alone without Dice So Nice", () => {
+    const roll = applyLockedDiceAppearance(new Roll("2d6min6"));
+    assert.equal(roll.dice[0].options.appearance, undefined);
+  });
+});
+
+describe("registerLockedDiceColorset", () => {
+  it("adds a hidden colorset", () => {
+    const added = [];
+    registerLockedDiceColorset({ addColorset: (colorset) => added.push(colorset) });
+    assert.equal(added.length, 1);
+    assert.equal(added[0].name, LOCKED_DICE_COLORSET);
+    assert.equal(added[0].visibility, "hidden");
+  });
+});
+
+describe("markLockedDice", () => {
+  it("marks the tooltip parts of locked dice in each roll", () => {
+    const parts = [[createPart(), createPart()], [createPart()]];
+    const message = { rolls: [new Roll("2d6+2d6min6"), new Roll("1d8min8")] };
+    markLockedDice(message, createMessageElement(parts));
+
+    assert.deepEqual(
+      parts.map((roll) => roll.map((part) => [...part.classes])),
+      [[[], ["alternative-critical-locked"]], [["alternative-critical-locked"]]],
+    );
+    assert.equal(parts[0][1].title, "Locked at max by the critical damage rule");
+    assert.equal(parts[0][0].title, undefined);
+  });
+});
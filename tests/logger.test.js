@@ -0,0 +1,58 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { DEFAULT_LOG_LEVEL, getLogLevel, isLogLevelEnabled, log } from "../scripts/logger.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+describe("logger", () => {
+  const original = { ...console };
+  let written;
+
+  beforeEach(() => {
+    resetStandIn();
+    written = [];
+    for (const method of ["log", "warn", "error", "debug"]) {
+      console[method] = (...args) => written.push({ method, args });
+    }
+  });
+
+  afterEach(() => Object.assign(console, original));
+
+  it("defaults to warnings", () => {
+    assert.equal(getLogLevel(), DEFAULT_LOG_LEVEL);
+    assert.equal(isLogLevelEnabled("error"), true);
+    assert.equal(isLogLevelEnabled("warn"), true);
+    assert.equal(isLogLevelEnabled("info"), false);
+    assert.equal(isLogLevelEnabled("debug"), false);
+  });
+
+  it("writes only messages at or above the configured level", async () => {
+    await game.settings.set("alternative-crit-damage", "logLevel", "info");
+    log.debug("Damage components:", []);
+    log.info("Ready");
+    log.error("Error rolling alternative critical:", "boom");
+    assert.deepEqual(
+      written.map(({ method }) => method),
+      ["log", "error"],
+    );
+    assert.match(written[0].args[0], /^Alternative Critical Damage v[\d.]+ \|$/);
+    assert.equal(written[0].args[1], "Ready");
+  });
+
+  it("writes nothing when logging is off", async () => {
+    await game.settings.set("alternative-crit-damage", "logLevel", "none");
+    log.error("Error rolling alternative critical:", "boom");
+    assert.deepEqual(written, []);
+  });
+
+  it("adds data dumps at the debug level", async () => {
+    await game.settings.set("alternative-crit-damage", "logLevel", "debug");
+    log.debug("Alternative formula:", "{1d6[fire]}");
+    assert.deepEqual(written, [
+      { method: "debug", args: [written[0].args[0], "Alternative formula:", "{1d6[fire]}"] },
+    ]);
+  });
+});
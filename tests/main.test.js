@@ -0,0 +1,462 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ChatMessage,
+  createActor,
+  createUser,
+  DamageRoll,
+  initializeModule,
+  notifications,
+  resetStandIn,
+  socket,
+} from "./helpers/foundry.js";
+import {
+  api,
+  rollAlternativeCriticalDamageFromPF2eData,
+  rollAlternativeCriticalDamageLegacy,
+  rollAlternativeCriticalFromDamageData,
+} from "../scripts/main.js";
+import * as damageData from "./fixtures/damage-data.js";
+import * as items from "./fixtures/items.js";
+
+initializeModule();
+Hooks.callAll("ready");
+
+describe("calculateFormula from a damage structure", () => {
+  beforeEach(() => resetStandIn());
+
+  it("rolls the longsword's dice once plus their maximum and doubles static modifiers", () => {
+    const formula = api.calculateFormula(damageData.strikingLongswordCritical, { isCriticalHit: true });
+    assert.equal(formula, "{(2d8+16+8+4)[slashing]}");
+  });
+
+  it("builds normal damage when the attack was not a critical hit", () => {
+    const formula = api.calculateFormula(damageData.strikingLongswordCritical, { isCriticalHit: false });
+    assert.equal(formula, "{(2d8+4+2)[slashing]}");
+  });
+
+  it("adds deadly dice and keeps precision categorized", () => {
+    const formula = api.calculateFormula(damageData.strikingRapierCritical, { isCriticalHit: true });
+    assert.equal(formula, "{(2d6+12+8+(4)[precision]+1d8)[piercing]}");
+  });
+
+  it("upgrades weapon dice with fatal", () => {
+    const formula = api.calculateFormula(damageData.pickCritical, { isCriticalHit: true });
+    assert.equal(formula, "{(1d10+10+6+1d10)[piercing]}");
+  });
+
+  it("respects the doubleStatic setting", async () => {
+    await game.settings.set("alternative-crit-damage", "doubleStatic", false);
+    const formula = api.calculateFormula(damageData.pickCritical, { isCriticalHit: true });
+    assert.equal(formula, "{(1d10+10+3+1d10)[piercing]}");
+  });
+
+  it("returns an empty formula when the structure has no damage", () => {
+    assert.equal(api.calculateFormula({ base: [], modifiers: [], dice: [] }), "");
+  });
+});
+
+describe("rollAlternativeCriticalFromDamageData", () => {
+  beforeEach(() => resetStandIn());
+
+  it("returns one DamageRoll and a fatal note", async () => {
+    const result = await rollAlternativeCriticalFromDamageData(damageData.pickCritical, createActor(), true);
+    assert.equal(result.rolls.length, 1);
+    assert.equal(result.rolls[0].constructor.name, "DamageRoll");
+    assert.deepEqual(result.notes, ["Fatal: weapon dice upgraded to d10"]);
+  });
+
+  it("rolls twice and notes both totals when the strategy keeps the higher total", async () => {
+    await game.settings.set("alternative-crit-damage", "critStrategy", "rollTwiceKeepHigher");
+    const result = await rollAlternativeCriticalFromDamageData(damageData.pickCritical, createActor(), true);
+    assert.equal(result.formula, "{(1d10+6+1d10)[piercing]}");
+    assert.deepEqual(result.notes, ["Rolled twice: kept 0, discarded 0", "Fatal: weapon dice upgraded to d10"]);
+  });
+
+  it("rolls the maximized dice as locked dice when the setting is on", async () => {
+    await game.settings.set("alternative-crit-damage", "lockedDice", true);
+    const result = await rollAlternativeCriticalFromDamageData(damageData.pickCritical, createActor(), true);
+    assert.equal(result.formula, "{(1d10+1d10min10+6+1d10)[piercing]}");
+    assert.deepEqual(
+      result.rolls[0].dice.map((term) => term.modifiers),
+      [[], ["min10"], []],
+    );
+  });
+});
+
+describe("direct calculation path", () => {
+  beforeEach(() => resetStandIn());
+
+  it("builds base dice, striking, Strength and deadly without a prior roll", async () => {
+    const item = items.strikingRapier();
+    const actor = createActor({ abilities: { str: 3 }, items: [item] });
+    const result = await rollAlternativeCriticalDamageFromPF2eData(item, actor, true);
+    assert.equal(result.path, "direct");
+    assert.equal(result.rolls[0].formula, "{(1d6+6+1d6+6+6+1d8)[piercing]}");
+    assert.ok(result.notes.includes("Note: Some modifiers may be missing without a prior damage roll"));
+  });
+
+  it("applies fatal to the synthetic structure", async () => {
+    const item = items.greaterStrikingPick();
+    const actor = createActor({ abilities: { str: 2 }, items: [item] });
+    const result = await rollAlternativeCriticalDamageFromPF2eData(item, actor, true);
+    assert.equal(result.rolls[0].formula, "{(1d10+10+2d10+20+4+1d10)[piercing]}");
+  });
+
+  it("adds property runes, their crit riders and bonus damage to the synthetic structure", async () => {
+    const item = items.flamingLongsword();
+    const actor = createActor({ abilities: { str: 4 }, items: [item] });
+    const result = await rollAlternativeCriticalDamageFromPF2eData(item, actor, true);
+    assert.equal(
+      result.rolls[0].formula,
+      "{(1d8+8+2d8+16+8+2+2d8)[slashing],(1d6+6)[fire],(1d10)[persistent,fire]}",
+    );
+  });
+
+  it("keeps a spell's cast rank when it falls back to the legacy parser after an error", async () => {
+    let failed = false;
+    api.registerComponentParser("test.flaky", {
+      matches: (item) => item.type === "spell",
+      parse: () => {
+        if (failed) return null;
+        failed = true;
+        throw new Error("Broken parser");
+      },
+    });
+    try {
+      const item = items.fireball();
+      const actor = createActor({ items: [item] });
+      const message = { flags: { pf2e: { casting: { castRank: 4 } } } };
+      const result = await rollAlternativeCriticalDamageFromPF2eData(item, actor, true, message);
+      assert.ok(failed);
+      assert.equal(result.rolls[0].formula, "{(8d6+48)[fire]}");
+    } finally {
+      api.unregisterComponentParser("test.flaky");
+    }
+  });
+});
+
+describe("rollAlternativeCriticalDamageLegacy", () => {
+  beforeEach(() => resetStandIn());
+
+  it("reads runes from the older item schema", async () => {
+    const item = items.oldSchemaGreatsword();
+    const result = await rollAlternativeCriticalDamageLegacy(item, createActor({ items: [item] }), true);
+    assert.equal(result.rolls[0].formula, "{(1d12+12+3d12+36)[slashing],(1d6+6)[fire],(2d10)[persistent,fire]}");
+  });
+
+  it("serializes every weapon component into one roll", async () => {
+    const item = items.strikingRapier();
+    const result = await rollAlternativeCriticalDamageLegacy(item, createActor({ items: [item] }), true);
+    assert.equal(result.rolls.length, 1);
+    assert.equal(result.rolls[0].formula, "{(1d6+6+1d6+6+1d8)[piercing],(4)[persistent,bleed]}");
+  });
+
+  it("keeps splash damage out of the crit", async () => {
+    const item = items.alchemistsFire();
+    const result = await rollAlternativeCriticalDamageLegacy(item, createActor({ items: [item] }), true);
+    assert.equal(result.rolls[0].formula, "{(1d8+8+(1)[splash])[fire],(2)[persistent,fire]}");
+  });
+
+  it("rolls spells at their cast rank and notes the rank", async () => {
+    const item = items.fireball();
+    const message = { flags: { pf2e: { casting: { castRank: 4 } } } };
+    const result = await rollAlternativeCriticalDamageLegacy(item, createActor({ items: [item] }), true, message);
+    assert.equal(result.rolls[0].formula, "{(8d6+48)[fire]}");
+    assert.deepEqual(result.notes, ["Rank 4"]);
+  });
+
+  it("warns and returns null when the item has no damage", async () => {
+    const item = { ...items.strikingRapier(), type: "equipment", system: { damage: null } };
+    const result = await rollAlternativeCriticalDamageLegacy(item, createActor(), true);
+    assert.equal(result, null);
+    assert.equal(notifications.messages[0].type, "warn");
+  });
+});
+
+describe("api", () => {
+  beforeEach(() => resetStandIn());
+  afterEach(() => {
+    Hooks.handlers.delete("preAltCrit");
+    Hooks.handlers.delete("altCrit");
+  });
+
+  it("is exposed on the module after init", () => {
+    assert.equal(game.modules.get("alternative-crit-damage").api, api);
+  });
+
+  it("calculates formulas for items and damage structures", () => {
+    assert.equal(api.calculateFormula(damageData.pickCritical), "{(1d10+10+6+1d10)[piercing]}");
+    assert.equal(api.calculateFormula(items.fireball(), { isCriticalHit: false }), "{6d6[fire]}");
+  });
+
+  it("lets preAltCrit hooks change components before the roll", async () => {
+    Hooks.on("preAltCrit", (context) => {
+      context.components.push(api.createDamageComponent({ modifier: 2, damageType: "fire", critical: "none" }));
+    });
+    const item = items.greaterStrikingPick();
+    const result = await api.roll(item, { actor: createActor({ items: [item] }), createMessage: false });
+    assert.equal(result.formula, "{(1d10+10+2d10+20+1d10)[piercing],2[fire]}");
+  });
+
+  it("cancels the roll when a preAltCrit hook returns false", async () => {
+    Hooks.on("preAltCrit", () => false);
+    const item = items.greaterStrikingPick();
+    assert.equal(await api.roll(item, { actor: createActor({ items: [item] }) }), null);
+    assert.equal(ChatMessage.created.length, 0);
+  });
+
+  it("reports the evaluated roll to altCrit hooks and posts a card", async () => {
+    let seen = null;
+    Hooks.on("altCrit", (context) => (seen = context));
+    const item = items.strikingRapier();
+    const result = await api.roll(item, { actor: createActor({ items: [item] }) });
+    assert.equal(seen.roll, result.rolls[0]);
+    assert.equal(seen.item, item);
+    assert.equal(ChatMessage.created.length, 1);
+    assert.equal(ChatMessage.created[0].flags["alternative-crit-damage"].itemUuid, item.uuid);
+    assert.equal(ChatMessage.created[0].flags["alternative-crit-damage"].path, "legacy");
+    assert.equal(ChatMessage.created[0].style, CONST.CHAT_MESSAGE_STYLES.OTHER);
+    assert.equal(ChatMessage.created[0].type, undefined);
+  });
+});
+
+describe("generateDiagnosticReport", () => {
+  beforeEach(() => resetStandIn());
+
+  it("reports the path and formula the Alt Crit button would use", async () => {
+    const item = items.strikingRapier();
+    const actor = createActor({ abilities: { str: 3 }, items: [item] });
+    const message = {
+      id: "attack",
+      item,
+      actor,
+      flags: { pf2e: { context: { type: "attack-roll", outcome: "criticalSuccess" } } },
+    };
+
+    const report = await api.generateDiagnosticReport(message);
+    assert.equal(report.isCriticalHit, true);
+    assert.equal(report.path, "direct");
+    assert.equal(report.formula, "{(1d6+6+1d6+6+6+1d8)[piercing]}");
+    assert.deepEqual(report.message, { id: "attack", type: "attack-roll", outcome: "criticalSuccess", altCrit: false });
+    assert.equal(report.overrides.strategy, "rollPlusMax");
+  });
+
+  it("returns null for messages without an item", async () => {
+    assert.equal(await api.generateDiagnosticReport({ id: "note", flags: {} }), null);
+  });
+});
+
+describe("automatic mode", () => {
+  beforeEach(async () => {
+    resetStandIn();
+    await game.settings.set("alternative-crit-damage", "autoMode", true);
+  });
+
+  const createDamageMessage = (item, data = {}) => {
+    const roll = new DamageRoll("2d6");
+    roll.options = { damage: { damage: damageData.strikingRapierCritical } };
+    return new ChatMessage({
+      item,
+      actor: createActor({ items: [item] }),
+      rolls: [roll],
+      user: "user",
+      flags: { pf2e: { context: { type: "damage-roll", outcome: "criticalSuccess" } } },
+      ...data,
+    });
+  };
+
+  const replace = async (message, options = {}) => {
+    const created = Hooks.call("preCreateChatMessage", message, {}, options, "user");
+    await new Promise((resolve) => setImmediate(resolve));
+    return created;
+  };
+
+  it("rolls spells at their cast rank even when the roll has a damage structure", async () => {
+    const message = createDamageMessage(items.fireball());
+    message.flags.pf2e.casting = { castRank: 4 };
+    assert.equal(await replace(message), false);
+
+    const [card] = ChatMessage.created;
+    assert.equal(card.flags["alternative-crit-damage"].path, "legacy");
+    assert.equal(card.rolls[0].formula, "{(8d6+48)[fire]}");
+  });
+
+  it("links the result to the attack card so the attack is not rolled again", async () => {
+    const item = items.strikingRapier();
+    const damage = createDamageMessage(item);
+    const attack = new ChatMessage({
+      id: "attack",
+      item,
+      actor: damage.actor,
+      flags: { pf2e: { context: { type: "attack-roll", outcome: "criticalSuccess" } } },
+    });
+    game.messages.contents.push(attack);
+
+    await replace(damage);
+    const [card] = ChatMessage.created;
+    assert.equal(card.flags["alternative-crit-damage"].sourceMessageId, "attack");
+    assert.deepEqual(attack.flags["alternative-crit-damage"].result.messageIds, [card.id]);
+
+    assert.equal(await replace(createDamageMessage(item, { actor: damage.actor })), false);
+    assert.equal(ChatMessage.created.length, 1);
+    assert.equal(notifications.messages[0].type, "info");
+  });
+
+  it("keeps the roll mode the replaced message was created with", async () => {
+    await replace(createDamageMessage(items.strikingRapier()), { rollMode: "gmroll" });
+    assert.equal(ChatMessage.created[0].rollMode, "gmroll");
+    assert.equal(ChatMessage.created[0].flags["alternative-crit-damage"].path, "captured");
+  });
+
+  it("reads the roll mode from the whisper and blind fields when no option was passed", async () => {
+    await replace(createDamageMessage(items.strikingRapier(), { whisper: ["user"] }));
+    await replace(createDamageMessage(items.strikingRapier(), { whisper: ["gm"], blind: true }));
+    await replace(createDamageMessage(items.strikingRapier()));
+    assert.deepEqual(ChatMessage.created.map((card) => card.rollMode), ["selfroll", "blindroll", "publicroll"]);
+  });
+});
+
+describe("forwarded rolls", () => {
+  beforeEach(() => resetStandIn());
+
+  const forward = (message, requesterId, reroll = false) =>
+    socket.handlers.get("module.alternative-crit-damage")({
+      type: "roll",
+      action: "attack",
+      messageId: message.id,
+      userId: game.user.id,
+      requesterId,
+      reroll,
+    });
+
+  const createAttack = (owners) => {
+    const item = items.strikingRapier();
+    const actor = createActor({ items: [item], owners });
+    const message = new ChatMessage({
+      id: "attack",
+      item,
+      actor,
+      flags: { pf2e: { context: { type: "attack-roll", outcome: "criticalSuccess" } } },
+    });
+    game.messages.contents.push(message);
+    return message;
+  };
+
+  it("rolls a click forwarded by the attacker's owner and records who asked", async () => {
+    createUser({ id: "player", name: "Amiri" });
+    await forward(createAttack(["player"]), "player");
+
+    assert.equal(ChatMessage.created.length, 1);
+    const [card] = ChatMessage.created;
+    assert.equal(card.flags["alternative-crit-damage"].triggeredBy, "player");
+    assert.match(card.flavor, /Requested by Amiri/);
+  });
+
+  it("ignores clicks from users the roll permission does not allow", async () => {
+    createUser({ id: "player" });
+    await forward(createAttack(["someone-else"]), "player");
+    assert.equal(ChatMessage.created.length, 0);
+  });
+
+  it("records the GM's own clicks without a note", async () => {
+    await api.rollForMessage(createAttack([]));
+    const [card] = ChatMessage.created;
+    assert.equal(card.flags["alternative-crit-damage"].triggeredBy, "user");
+    assert.doesNotMatch(card.flavor, /Requested by/);
+  });
+});
+
+describe("linked results", () => {
+  beforeEach(() => resetStandIn());
+
+  const createAttack = ({ isOwner = true } = {}) => {
+    const item = items.strikingRapier();
+    const actor = createActor({ items: [item], owners: ["player"] });
+    const message = new ChatMessage({
+      item,
+      actor,
+      isOwner,
+      flags: { pf2e: { context: { type: "attack-roll", outcome: "criticalSuccess" } } },
+    });
+    game.messages.contents.push(message);
+    return message;
+  };
+
+  const click = (message, requesterId, reroll = false) =>
+    socket.handlers.get("module.alternative-crit-damage")({
+      type: "roll",
+      action: "attack",
+      messageId: message.id,
+      userId: game.user.id,
+      requesterId,
+      reroll,
+    });
+
+  it("saves the first result on the attack card and links the result back", async () => {
+    createUser({ id: "player" });
+    const attack = createAttack();
+    await click(attack, "player");
+
+    const [card] = ChatMessage.created;
+    assert.equal(card.flags["alternative-crit-damage"].sourceMessageId, attack.id);
+    assert.deepEqual(attack.flags["alternative-crit-damage"].result, {
+      messageIds: [card.id],
+      totals: [0],
+      isCriticalHit: true,
+      triggeredBy: "player",
+      rerolls: 0,
+    });
+  });
+
+  it("keeps the existing result instead of rolling again", async () => {
+    createUser({ id: "player" });
+    const attack = createAttack();
+    await click(attack, "player");
+    await click(attack, "player");
+
+    assert.equal(ChatMessage.created.length, 1);
+  });
+
+  it("re-rolls only for GMs", async () => {
+    createUser({ id: "player" });
+    const attack = createAttack();
+    await click(attack, "player");
+    await click(attack, "player", true);
+    assert.equal(ChatMessage.created.length, 1);
+
+    await click(attack, game.user.id, true);
+    assert.equal(ChatMessage.created.length, 2);
+    const link = attack.flags["alternative-crit-damage"].result;
+    assert.deepEqual(link.messageIds, [ChatMessage.created[1].id]);
+    assert.equal(link.rerolls, 1);
+  });
+
+  it("rolls again when the linked result was deleted", async () => {
+    createUser({ id: "player" });
+    const attack = createAttack();
+    await click(attack, "player");
+    game.messages.contents.splice(game.messages.contents.indexOf(ChatMessage.created[0]), 1);
+    await click(attack, "player");
+    assert.equal(ChatMessage.created.length, 2);
+  });
+
+  it("asks the GM to save the link when the card cannot be updated", async () => {
+    createUser({ id: "player" });
+    const attack = createAttack({ isOwner: false });
+    await click(attack, "player");
+
+    const [{ data }] = socket.emitted;
+    assert.equal(data.type, "link");
+    assert.equal(data.messageId, attack.id);
+    assert.equal(attack.flags["alternative-crit-damage"], undefined);
+
+    // The GM's client saves links to results rolled from that card only
+    attack.isOwner = true;
+    await socket.handlers.get("module.alternative-crit-damage")({ ...data, link: { messageIds: ["forged"] } });
+    assert.equal(attack.flags["alternative-crit-damage"], undefined);
+    await socket.handlers.get("module.alternative-crit-damage")(data);
+    assert.deepEqual(attack.flags["alternative-crit-damage"].result, data.link);
+  });
+});
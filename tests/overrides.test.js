@@ -0,0 +1,108 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ChatMessage, createActor, initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { api } from "../scripts/main.js";
+import { describeResolution, isAltCritEnabled, resolveOverrides } from "../scripts/overrides.js";
+import * as items from "./fixtures/items.js";
+
+initializeModule();
+
+/**
+ * AltCritOverride rule element stand-in, as PF2e instantiates it on an item
+ */
+function overrideRule(item, { mode = "default", strategy = "", predicate = true } = {}) {
+  return { key: "AltCritOverride", label: item.name, item, mode, strategy, ignored: false, test: () => predicate };
+}
+
+const withFlag = (document, override) => {
+  document.flags = { "alternative-crit-damage": { override } };
+  return document;
+};
+
+describe("resolveOverrides", () => {
+  beforeEach(() => resetStandIn());
+
+  it("uses the world settings when nothing overrides them", () => {
+    const item = items.strikingRapier();
+    createActor({ items: [item] });
+    const resolution = resolveOverrides(item.actor, item);
+    assert.equal(resolution.enabled, true);
+    assert.equal(resolution.strategy.id, "rollPlusMax");
+    assert.equal(resolution.steps.length, 1);
+  });
+
+  it("lets the item flag win over the actor flag", () => {
+    const item = withFlag(items.strikingRapier(), { mode: "optIn", strategy: "maximize" });
+    const actor = withFlag(createActor({ items: [item] }), { mode: "optOut", strategy: "" });
+
+    assert.equal(isAltCritEnabled(actor), false);
+    const resolution = resolveOverrides(actor, item);
+    assert.equal(resolution.enabled, true);
+    assert.equal(resolution.strategy.id, "maximize");
+    assert.deepEqual(
+      resolution.steps.map((step) => step.source),
+      ["World setting", "Actor: Valeros", "Item: +1 Striking Rapier"],
+    );
+  });
+
+  it("lets an actor opt in when the world has alt crits turned off", async () => {
+    await game.settings.set("alternative-crit-damage", "enabled", false);
+    const actor = withFlag(createActor(), { mode: "optIn", strategy: "" });
+    assert.equal(isAltCritEnabled(actor), true);
+    assert.equal(isAltCritEnabled(createActor({ name: "Kyra" })), false);
+  });
+
+  it("applies rule elements before the flag of their actor or item", () => {
+    const rapier = items.strikingRapier();
+    const pick = items.greaterStrikingPick();
+    const feat = { id: "feat", name: "Brutal Critical", type: "feat" };
+    const actor = withFlag(createActor({ items: [rapier, pick] }), { mode: "default", strategy: "doubleDice" });
+    actor.rules = [
+      overrideRule(feat, { strategy: "maximize" }),
+      overrideRule(pick, { mode: "optOut" }),
+      overrideRule(rapier, { strategy: "rollTwiceKeepHigher" }),
+      overrideRule({ ...feat, name: "Unmet Predicate" }, { mode: "optOut", predicate: false }),
+    ];
+
+    const resolution = resolveOverrides(actor, rapier);
+    assert.deepEqual(
+      resolution.steps.map((step) => [step.source, step.strategy]),
+      [
+        ["World setting", "rollPlusMax"],
+        ["Rule element: Brutal Critical", "maximize"],
+        ["Actor: Valeros", "doubleDice"],
+        ["Rule element: +1 Striking Rapier", "rollTwiceKeepHigher"],
+      ],
+    );
+    assert.equal(resolution.enabled, true);
+    assert.equal(isAltCritEnabled(actor, pick), false);
+  });
+});
+
+describe("overrides in rolls", () => {
+  beforeEach(() => resetStandIn());
+
+  it("uses the item's strategy for formulas and rolls", async () => {
+    const item = withFlag(items.greaterStrikingPick(), { mode: "default", strategy: "maximize" });
+    const actor = createActor({ items: [item] });
+    assert.equal(api.calculateFormula(item), "{(10+20+10)[piercing]}");
+
+    const result = await api.roll(item, { actor });
+    assert.equal(result.strategy.id, "maximize");
+    assert.match(ChatMessage.created[0].flavor, /maximum value, including crit-only dice/);
+  });
+
+  it("shows the resolution order on the card", async () => {
+    const item = withFlag(items.strikingRapier(), { mode: "default", strategy: "doubleDice" });
+    const actor = createActor({ items: [item] });
+    await api.roll(item, { actor });
+
+    const { data } = JSON.parse(ChatMessage.created[0].content);
+    assert.deepEqual(data.resolution, [
+      { source: "World setting", detail: "alternative crits, Roll + Max" },
+      { source: "Item: +1 Striking Rapier", detail: "Double Dice, Static Once" },
+    ]);
+    assert.deepEqual(describeResolution(resolveOverrides(actor, item)), data.resolution);
+  });
+});
@@ -0,0 +1,62 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule } from "./helpers/foundry.js";
+import {
+  parseItemDamage,
+  registerComponentParser,
+  unregisterComponentParser,
+} from "../scripts/parsers.js";
+import "../scripts/main.js";
+import * as items from "./fixtures/items.js";
+
+initializeModule();
+
+describe("parseItemDamage", () => {
+  afterEach(() => unregisterComponentParser("test"));
+
+  it("uses the built-in weapon and spell parsers", () => {
+    assert.equal(parseItemDamage(items.strikingRapier(), true)[0].source, "base");
+    assert.equal(parseItemDamage(items.fireball(), true)[0].diceNumber, 6);
+  });
+
+  it("reads the spell's cast rank from the message", () => {
+    const message = { flags: { pf2e: { casting: { castRank: 5 } } } };
+    assert.equal(parseItemDamage(items.fireball(), true, { message })[0].diceNumber, 10);
+  });
+
+  it("falls back to basic system damage for other item types", () => {
+    const item = { type: "melee", system: { damage: { dice: 2, die: "d10", modifier: 5, damageType: "bludgeoning" } } };
+    assert.deepEqual(parseItemDamage(item, true), [
+      {
+        source: "base",
+        label: "",
+        diceNumber: 2,
+        dieSize: 10,
+        modifier: 5,
+        damageType: "bludgeoning",
+        category: "",
+        critical: "double",
+      },
+    ]);
+  });
+
+  it("asks registered parsers first and normalizes their components", () => {
+    registerComponentParser("test", {
+      matches: (item) => item.type === "weapon",
+      parse: () => [{ diceNumber: 3, dieSize: "d4", damageType: "cold" }],
+    });
+    const [component] = parseItemDamage(items.strikingRapier(), true);
+    assert.equal(component.dieSize, 4);
+    assert.equal(component.critical, "double");
+  });
+
+  it("moves on when a registered parser returns null", () => {
+    registerComponentParser("test", { parse: () => null });
+    assert.equal(parseItemDamage(items.strikingRapier(), true)[0].dieSize, 6);
+  });
+
+  it("rejects parsers without a parse function", () => {
+    assert.throws(() => registerComponentParser("test", {}));
+  });
+});
@@ -0,0 +1,72 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { createActor, createUser, initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { canRollAltCrit, getRollPermission, getRollingUser } from "../scripts/permissions.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+const setPermission = (value) => game.settings.set("alternative-crit-damage", "rollPermission", value);
+
+describe("canRollAltCrit", () => {
+  beforeEach(() => resetStandIn());
+
+  it("lets owners and GMs roll by default", () => {
+    const owner = createUser({ id: "owner" });
+    const other = createUser({ id: "other" });
+    const actor = createActor({ owners: ["owner"] });
+
+    assert.equal(getRollPermission(), "owner");
+    assert.equal(canRollAltCrit(actor, owner), true);
+    assert.equal(canRollAltCrit(actor, game.user), true);
+    assert.equal(canRollAltCrit(actor, other), false);
+  });
+
+  it("lets only GMs roll when set to GM only", async () => {
+    const owner = createUser({ id: "owner" });
+    const actor = createActor({ owners: ["owner"] });
+    await setPermission("gm");
+
+    assert.equal(canRollAltCrit(actor, owner), false);
+    assert.equal(canRollAltCrit(actor, game.user), true);
+  });
+
+  it("lets everyone roll when set to everyone", async () => {
+    const other = createUser({ id: "other" });
+    await setPermission("everyone");
+    assert.equal(canRollAltCrit(createActor({ owners: ["owner"] }), other), true);
+  });
+});
+
+describe("getRollingUser", () => {
+  beforeEach(() => resetStandIn());
+
+  it("rolls owned actors on the clicking user's client", () => {
+    const owner = createUser({ id: "owner" });
+    assert.equal(getRollingUser(createActor({ owners: ["owner"] }), owner), owner);
+  });
+
+  it("forwards other users' clicks to the online owner", () => {
+    const owner = createUser({ id: "owner" });
+    const other = createUser({ id: "other" });
+    assert.equal(getRollingUser(createActor({ owners: ["owner"] }), other), owner);
+  });
+
+  it("forwards to the GM when the owner is offline", () => {
+    createUser({ id: "owner", active: false });
+    const other = createUser({ id: "other" });
+    assert.equal(getRollingUser(createActor({ owners: ["owner"] }), other), game.user);
+  });
+
+  it("returns null when nobody who owns the actor is online", () => {
+    game.user.active = false;
+    try {
+      createUser({ id: "owner", active: false });
+      const other = createUser({ id: "other" });
+      assert.equal(getRollingUser(createActor({ owners: ["owner"] }), other), null);
+    } finally {
+      game.user.active = true;
+    }
+  });
+});
@@ -0,0 +1,70 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ChatMessage, initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { createResultLink, describeResult, getLinkedResult, linkResult } from "../scripts/results.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+const rolled = (totals, isCriticalHit = true) =>
+  ChatMessage.create({
+    rolls: totals.map((total) => ({ total })),
+    flags: { "alternative-crit-damage": { altCrit: true, isCriticalHit } },
+  });
+
+describe("createResultLink", () => {
+  beforeEach(() => resetStandIn());
+
+  it("lists every result card and roll total", async () => {
+    const cards = [await rolled([18, 24]), await rolled([9], false)];
+    assert.deepEqual(createResultLink(cards, { triggeredBy: "player" }), {
+      messageIds: cards.map((card) => card.id),
+      totals: [18, 24, 9],
+      isCriticalHit: true,
+      triggeredBy: "player",
+      rerolls: 0,
+    });
+  });
+
+  it("counts re-rolls", async () => {
+    const first = createResultLink([await rolled([18])]);
+    const second = createResultLink([await rolled([21])], { previous: first });
+    assert.equal(createResultLink([await rolled([7])], { previous: second }).rerolls, 2);
+  });
+});
+
+describe("getLinkedResult", () => {
+  beforeEach(() => resetStandIn());
+
+  it("returns the link while a result card exists", async () => {
+    const card = await rolled([18]);
+    const attack = new ChatMessage({});
+    await linkResult(attack, createResultLink([card]));
+    assert.deepEqual(getLinkedResult(attack).messageIds, [card.id]);
+
+    game.messages.contents.length = 0;
+    assert.equal(getLinkedResult(attack), null);
+  });
+
+  it("returns null for cards without a result", () => {
+    assert.equal(getLinkedResult(new ChatMessage({})), null);
+  });
+});
+
+describe("linkResult", () => {
+  beforeEach(() => resetStandIn());
+
+  it("only updates cards the user owns", async () => {
+    const link = createResultLink([await rolled([18])]);
+    const attack = new ChatMessage({ isOwner: false });
+    assert.equal(await linkResult(attack, link), false);
+    assert.equal(attack.flags["alternative-crit-damage"], undefined);
+  });
+});
+
+describe("describeResult", () => {
+  it("summarizes the totals for the attack card", () => {
+    assert.equal(describeResult({ totals: [18, 24] }), "Alt Crit: 18, 24 damage");
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule } from "./helpers/foundry.js";
+import { getSpellCastRank, isBasicSaveSpell, parseSpellDamage } from "../scripts/spells.js";
+import "../scripts/main.js";
+import * as items from "./fixtures/items.js";
+
+initializeModule();
+
+describe("parseSpellDamage", () => {
+  it("groups the dice of a spell at its base rank", () => {
+    const [component] = parseSpellDamage(items.fireball(), true, 3);
+    assert.equal(component.diceNumber, 6);
+    assert.equal(component.dieSize, 6);
+    assert.equal(component.damageType, "fire");
+  });
+
+  it("adds interval heightening for every step above the base rank", () => {
+    assert.equal(parseSpellDamage(items.fireball(), true, 5)[0].diceNumber, 10);
+    assert.equal(parseSpellDamage(items.acidArrow(), true, 3)[0].diceNumber, 3);
+    assert.equal(parseSpellDamage(items.acidArrow(), true, 4)[0].diceNumber, 5);
+  });
+
+  it("keeps each partition's type and category", () => {
+    const components = parseSpellDamage(items.acidArrow(), true, 4);
+    assert.deepEqual(
+      components.map(({ diceNumber, dieSize, damageType, category }) => [diceNumber, dieSize, damageType, category]),
+      [
+        [5, 8, "acid", ""],
+        [2, 6, "acid", "persistent"],
+      ],
+    );
+  });
+
+  it("subtracts static terms and rejects subtracted dice", () => {
+    const spell = items.fireball();
+    spell.system.damage[0].formula = "2d6+1d6-2";
+    assert.deepEqual(
+      parseSpellDamage(spell, true, 3).map(({ diceNumber, dieSize, modifier }) => [diceNumber, dieSize, modifier]),
+      [[3, 6, -2]],
+    );
+
+    spell.system.damage[0].formula = "2d6-1d4";
+    assert.equal(parseSpellDamage(spell, true, 3), null);
+  });
+
+  it("prefers the cast rank stored on the chat message", () => {
+    const message = { flags: { pf2e: { casting: { castRank: 6 } } } };
+    assert.equal(getSpellCastRank(items.fireball(), message), 6);
+    assert.equal(getSpellCastRank(items.fireball()), 3);
+  });
+
+  it("detects basic saves", () => {
+    assert.equal(isBasicSaveSpell(items.fireball()), true);
+    assert.equal(isBasicSaveSpell(items.acidArrow()), false);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule } from "./helpers/foundry.js";
+import { DEFAULT_COMPONENT_RULES } from "../scripts/component-rules.js";
+import { createDamageComponent } from "../scripts/formula.js";
+import { getCritStrategy } from "../scripts/strategies.js";
+import {
+  analyzeStrike,
+  attackOutcomeChances,
+  componentsDistribution,
+  diceDistribution,
+  formulaDistribution,
+  maxOf,
+  standardCritDistribution,
+  summarize,
+} from "../scripts/stats.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≉ ${expected}`);
+
+describe("exact distributions", () => {
+  it("convolves dice exactly", () => {
+    const dist = diceDistribution(2, 6);
+    assert.equal(dist.min, 2);
+    close(dist.probs[5], 6 / 36);
+    close(dist.probs.reduce((sum, p) => sum + p, 0), 1);
+  });
+
+  it("takes the higher of two results", () => {
+    const { mean, min, max } = summarize(maxOf(diceDistribution(1, 6), diceDistribution(1, 6)));
+    close(mean, 161 / 36);
+    assert.deepEqual([min, max], [1, 6]);
+  });
+
+  it("reads the formulas the crit strategies write", () => {
+    assert.deepEqual(summarize(formulaDistribution("2d6+12")), { mean: 19, min: 14, max: 24 });
+    assert.deepEqual(summarize(formulaDistribution("12+6")), { mean: 18, min: 18, max: 18 });
+    assert.deepEqual(summarize(formulaDistribution("1d4-1")), { mean: 1.5, min: 0, max: 3 });
+    const doubled = summarize(formulaDistribution("2*(1d6+1)+2"));
+    close(doubled.mean, 11);
+    assert.deepEqual([doubled.min, doubled.max], [6, 16]);
+  });
+
+  it("gives up on formulas it cannot read", () => {
+    assert.equal(formulaDistribution("2d6kh1"), null);
+  });
+});
+
+describe("crit comparisons", () => {
+  const components = [
+    createDamageComponent({ diceNumber: 2, dieSize: 8, modifier: 4, damageType: "slashing" }),
+    createDamageComponent({ source: "deadly", diceNumber: 1, dieSize: 10, critical: "extra" }),
+    createDamageComponent({ source: "splash", modifier: 1, category: "splash" }),
+  ];
+
+  it("doubles a standard crit and adds extra dice and splash once", () => {
+    const { mean, min, max } = summarize(standardCritDistribution(components));
+    assert.deepEqual([mean, min, max], [2 * 13 + 5.5 + 1, 2 * 6 + 1 + 1, 2 * 20 + 10 + 1]);
+  });
+
+  it("follows the active crit rule for the alternative crit", () => {
+    const { mean, min, max } = summarize(componentsDistribution(components, true));
+    assert.deepEqual([mean, min, max], [9 + 16 + 8 + 5.5 + 1, 2 + 16 + 8 + 1 + 1, 16 + 16 + 8 + 10 + 1]);
+  });
+
+  it("keeps the higher of two whole totals rather than of each component", () => {
+    const dice = [
+      createDamageComponent({ diceNumber: 1, dieSize: 6, damageType: "slashing" }),
+      createDamageComponent({ diceNumber: 1, dieSize: 6, damageType: "fire" }),
+    ];
+    const options = { strategy: getCritStrategy("rollTwiceKeepHigher") };
+    const whole = summarize(maxOf(diceDistribution(2, 6), diceDistribution(2, 6)));
+    close(summarize(componentsDistribution(dice, true, options)).mean, whole.mean);
+    close(summarize(componentsDistribution(dice, false, options)).mean, 7);
+  });
+
+  it("adds splash and normal-rule damage once to the higher of the two rolls", async () => {
+    const dice = [
+      createDamageComponent({ diceNumber: 1, dieSize: 6, damageType: "slashing" }),
+      createDamageComponent({ source: "precision", diceNumber: 1, dieSize: 6, category: "precision" }),
+      createDamageComponent({ source: "splash", diceNumber: 1, dieSize: 4, category: "splash" }),
+    ];
+    const options = {
+    strategy: getCritStrategy("rollTwiceKeepHigher"),
+    rules: { ...DEFAULT_COMPONENT_RULES, precision: "normal" },
+  };
+    const kept = summarize(maxOf(diceDistribution(1, 6), diceDistribution(1, 6)));
+    const { mean, min, max } = summarize(componentsDistribution(dice, true, options));
+    close(mean, kept.mean + 3.5 + 2.5);
+    assert.deepEqual([min, max], [3, 16]);
+  });
+});
+
+describe("attackOutcomeChances", () => {
+  it("adjusts the degree of success on a natural 20 and a natural 1", () => {
+    const chances = attackOutcomeChances(10, 20);
+    close(chances.criticalSuccess, 1 / 20);
+    close(chances.success, 10 / 20);
+    close(chances.failure, 8 / 20);
+    close(chances.criticalFailure, 1 / 20);
+  });
+
+  it("crits on a 10 or higher when the bonus matches the AC", () => {
+    const chances = attackOutcomeChances(20, 20);
+    close(chances.criticalSuccess, 11 / 20);
+    close(chances.success, 8 / 20);
+    close(chances.failure, 1 / 20);
+  });
+});
+
+describe("analyzeStrike", () => {
+  const longsword = [createDamageComponent({ diceNumber: 1, dieSize: 8, modifier: 4, damageType: "slashing" })];
+  const options = { strategy: getCritStrategy("rollPlusMax"), doubleStatic: true };
+
+  it("summarizes a hit, a standard crit and the alternative crit", () => {
+    const { summaries, expected } = analyzeStrike({ normal: longsword, critical: longsword }, options);
+    close(summaries.hit.mean, 8.5);
+    close(summaries.standard.mean, 17);
+    close(summaries.alternative.mean, 20.5);
+    assert.equal(summaries.alternative.min, 17);
+    assert.equal(summaries.alternative.max, 24);
+    assert.equal(expected, null);
+  });
+
+  it("weights the damage by the chance to hit and crit the target AC", () => {
+    const { expected } = analyzeStrike(
+      { normal: longsword, critical: longsword },
+      { ...options, attackBonus: 10, ac: 20 },
+    );
+    close(expected.standard, 0.5 * 8.5 + 0.05 * 17);
+    close(expected.alternative, 0.5 * 8.5 + 0.05 * 20.5);
+  });
+
+  it("returns null when a formula cannot be read", () => {
+    const strategy = { ...options.strategy, critDice: (num, faces) => `${num}d${faces}x` };
+    assert.equal(analyzeStrike({ normal: longsword, critical: longsword }, { strategy }), null);
+  });
+});
+
@@ -0,0 +1,92 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule, resetStandIn } from "./helpers/foundry.js";
+import { getTargetOutcomes } from "../scripts/targets.js";
+import "../scripts/main.js";
+
+initializeModule();
+
+const actor = { uuid: "Actor.valeros" };
+const item = { id: "rapier" };
+
+/**
+ * Post an attack roll against one target to the chat log
+ */
+const postAttack = (id, outcome, { isReroll = false, token = "Scene.a.Token.goblin", from = item } = {}) => {
+  const type = from.type === "spell" ? "spell-attack-roll" : "attack-roll";
+  const message = new ChatMessage({
+    id,
+    actor,
+    item: from,
+    flags: { pf2e: { context: { type, outcome, isReroll, target: { token, outcome } } } },
+  });
+  game.messages.contents.push(message);
+  return message;
+};
+
+/**
+ * Post a spell card to the chat log
+ */
+const postSpellCard = (id, spell) => {
+  const message = new ChatMessage({ id, actor, item: spell, flags: { pf2e: { origin: { type: "spell" } } } });
+  game.messages.contents.push(message);
+  return message;
+};
+
+describe("getTargetOutcomes", () => {
+  beforeEach(() => resetStandIn());
+
+  it("reads each target's outcome from the attack", () => {
+    const attack = postAttack("attack", "success");
+    assert.deepEqual(
+      getTargetOutcomes(attack).map(({ tokenUuid, outcome }) => [tokenUuid, outcome]),
+      [["Scene.a.Token.goblin", "success"]],
+    );
+  });
+
+  it("follows the latest reroll of the attack", () => {
+    const attack = postAttack("attack", "failure");
+    postAttack("reroll1", "success", { isReroll: true });
+    postAttack("reroll2", "criticalSuccess", { isReroll: true });
+    postAttack("other-target", "criticalFailure", { isReroll: true, token: "Scene.a.Token.orc" });
+    assert.equal(getTargetOutcomes(attack)[0].outcome, "criticalSuccess");
+  });
+
+  it("ignores rerolls of a later attack with the same item", () => {
+    const attack = postAttack("attack", "criticalSuccess");
+    postAttack("later", "success");
+    postAttack("later-reroll", "criticalFailure", { isReroll: true });
+    assert.equal(getTargetOutcomes(attack)[0].outcome, "criticalSuccess");
+  });
+
+  it("reads a single target from a Strike even after other Strikes with the weapon", () => {
+    postAttack("first", "criticalSuccess", { token: "Scene.a.Token.orc" });
+    const attack = postAttack("second", "success");
+    assert.deepEqual(
+      getTargetOutcomes(attack).map(({ tokenUuid, messageId }) => [tokenUuid, messageId]),
+      [["Scene.a.Token.goblin", "second"]],
+    );
+  });
+
+  it("reads the attacks rolled from one spell card together", () => {
+    const spell = { id: "ray", type: "spell" };
+    postSpellCard("earlier-cast", spell);
+    postAttack("earlier", "success", { from: spell, token: "Scene.a.Token.kobold" });
+    postSpellCard("cast", spell);
+    postAttack("goblin", "criticalSuccess", { from: spell });
+    postAttack("orc", "failure", { from: spell, token: "Scene.a.Token.orc" });
+    postAttack("orc-reroll", "success", { from: spell, token: "Scene.a.Token.orc", isReroll: true });
+    postSpellCard("next-cast", spell);
+    postAttack("later", "success", { from: spell, token: "Scene.a.Token.troll" });
+
+    const attack = game.messages.get("orc");
+    assert.deepEqual(
+      getTargetOutcomes(attack).map(({ tokenUuid, outcome, messageId }) => [tokenUuid, outcome, messageId]),
+      [
+        ["Scene.a.Token.goblin", "criticalSuccess", "goblin"],
+        ["Scene.a.Token.orc", "success", "orc"],
+      ],
+    );
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { initializeModule } from "./helpers/foundry.js";
+import {
+  getFatalDieSize,
+  getPropertyRuneDice,
+  getPropertyRunes,
+  getStrikingDice,
+  parseDamageData,
+  parseWeaponDamage,
+} from "../scripts/weapons.js";
+import { componentTerm } from "../scripts/formula.js";
+import "../scripts/main.js";
+import * as damageData from "./fixtures/damage-data.js";
+import * as items from "./fixtures/items.js";
+
+initializeModule();
+
+describe("weapon runes", () => {
+  it("reads striking and property runes from both item schemas", () => {
+    assert.equal(getStrikingDice(items.flamingLongsword()), 2);
+    assert.equal(getStrikingDice(items.oldSchemaGreatsword()), 3);
+    assert.equal(getStrikingDice(items.fireball()), 0);
+    assert.deepEqual(getPropertyRunes(items.flamingLongsword()), ["flaming"]);
+    assert.deepEqual(getPropertyRunes(items.oldSchemaGreatsword()), ["greaterFlaming"]);
+  });
+
+  it("describes property rune dice and their crit riders as PF2e damage dice", () => {
+    const dice = getPropertyRuneDice(items.oldSchemaGreatsword());
+    assert.deepEqual(
+      dice.map(({ slug, label, critical, diceNumber, dieSize, damageType, category }) => [
+        slug,
+        label,
+        critical,
+        `${diceNumber}d${dieSize}`,
+        damageType,
+        category,
+      ]),
+      [
+        ["greaterFlaming", "greaterFlaming", null, "1d6", "fire", null],
+        ["greaterFlaming", "greaterFlaming (critical)", true, "2d10", "fire", "persistent"],
+      ],
+    );
+  });
+
+  it("skips property runes without damage", () => {
+    const item = items.flamingLongsword();
+    item.system.runes.property = ["ghostTouch", "shock"];
+    assert.deepEqual(getPropertyRuneDice(item).map((dice) => dice.damageType), ["electricity"]);
+  });
+});
+
+describe("parseWeaponDamage", () => {
+  it("counts base dice, striking, deadly and persistent damage exactly once", () => {
+    const components = parseWeaponDamage(items.strikingRapier(), true);
+    assert.deepEqual(
+      components.map(({ source, diceNumber, dieSize, modifier }) => [source, diceNumber, dieSize, modifier]),
+      [
+        ["base", 1, 6, 0],
+        ["striking", 1, 6, 0],
+        ["deadly", 1, 8, 0],
+        ["persistent", 0, null, 2],
+      ],
+    );
+  });
+
+  it("counts the striking dice PF2e includes in the weapon dice once at every striking level", () => {
+    for (const striking of [1, 2, 3]) {
+      const item = items.strikingRapier();
+      item.system.runes.striking = striking;
+      item.system.damage.dice = 1 + striking;
+
+      const dice = Object.fromEntries(parseWeaponDamage(item, true).map((c) => [c.source, c.diceNumber]));
+      assert.deepEqual(
+        [dice.base, dice.striking, dice.deadly],
+        [1, striking, striking >= 2 ? striking : 1],
+        `striking level ${striking}`,
+      );
+    }
+  });
+
+  it("leaves crit-only components out of normal damage", () => {
+    const sources = parseWeaponDamage(items.strikingRapier(), false).map((c) => c.source);
+    assert.deepEqual(sources, ["base", "striking", "persistent"]);
+  });
+
+  it("upgrades weapon dice with fatal and adds its extra die", () => {
+    const components = parseWeaponDamage(items.greaterStrikingPick(), true);
+    assert.deepEqual(
+      components.map(({ source, diceNumber, dieSize, critical }) => [source, diceNumber, dieSize, critical]),
+      [
+        ["base", 1, 10, "double"],
+        ["striking", 2, 10, "double"],
+        ["fatal", 1, 10, "extra"],
+      ],
+    );
+  });
+
+  it("adds property rune dice and their crit riders as their own components", () => {
+    const components = parseWeaponDamage(items.flamingLongsword(), true);
+    assert.deepEqual(
+      components.map(({ source, diceNumber, dieSize, modifier, damageType, category, critical }) => [
+        source,
+        diceNumber,
+        dieSize,
+        modifier,
+        damageType,
+        category,
+        critical,
+      ]),
+      [
+        ["base", 1, 8, 0, "slashing", "", "double"],
+        ["striking", 2, 8, 0, "slashing", "", "double"],
+        ["deadly", 2, 8, 0, "slashing", "", "extra"],
+        ["bonus", 0, null, 1, "slashing", "", "double"],
+        ["flaming", 1, 6, 0, "fire", "", "double"],
+        ["flaming", 1, 10, 0, "fire", "persistent", "extra"],
+      ],
+    );
+    assert.deepEqual(
+      parseWeaponDamage(items.flamingLongsword(), false).map((c) => c.source),
+      ["base", "striking", "bonus", "flaming"],
+    );
+  });
+
+  it("ignores fatal aim unless the weapon is held in two hands", () => {
+    const item = items.greaterStrikingPick();
+    item.system.traits.value = ["fatal-aim-d12"];
+    assert.equal(parseWeaponDamage(item, true)[0].dieSize, 6);
+
+    item.system.equipped.handsHeld = 2;
+    assert.equal(parseWeaponDamage(item, true)[0].dieSize, 12);
+  });
+
+  it("leaves splash damage to the splash category rule", () => {
+    const splash = parseWeaponDamage(items.alchemistsFire(), true).find((c) => c.source === "splash");
+    assert.equal(splash.category, "splash");
+    assert.equal(componentTerm(splash, true), "1");
+  });
+
+  it("returns null for items without damage dice", () => {
+    const item = items.strikingRapier();
+    item.system.damage = { dice: 0, die: null };
+    assert.equal(parseWeaponDamage(item, true), null);
+  });
+});
+
+describe("parseDamageData", () => {
+  it("types modifiers with the weapon's damage type and skips disabled ones", () => {
+    const components = parseDamageData(damageData.strikingRapierCritical, true);
+    assert.deepEqual(
+      components.map(({ source, modifier, damageType, category, critical }) => [
+        source,
+        modifier,
+        damageType,
+        category,
+        critical,
+      ]),
+      [
+        ["base", 0, "piercing", "", "double"],
+        ["modifier", 4, "piercing", "", "double"],
+        ["modifier", 2, "piercing", "precision", "double"],
+        ["deadly-d8", 0, "piercing", "", "extra"],
+      ],
+    );
+  });
+
+  it("splits striking rune dice out of the base dice when given the weapon", () => {
+    const components = parseDamageData(damageData.strikingRapierCritical, true, items.strikingRapier());
+    assert.deepEqual(
+      components.slice(0, 2).map(({ source, diceNumber, dieSize }) => [source, diceNumber, dieSize]),
+      [
+        ["base", 1, 6],
+        ["striking", 1, 6],
+      ],
+    );
+  });
+
+  it("reads fatal from the die size override", () => {
+    assert.equal(getFatalDieSize(damageData.pickCritical, true), "d10");
+    assert.equal(getFatalDieSize(damageData.pickCritical, false), null);
+    assert.equal(parseDamageData(damageData.pickCritical, true)[0].dieSize, 10);
+    assert.equal(parseDamageData(damageData.pickCritical, false)[0].dieSize, 6);
+  });
+
+  it("keeps damage dice that are not crit-only, with their own type", () => {
+    const components = parseDamageData(damageData.sneakAttackFlamingShortsword, true);
+    assert.deepEqual(
+      components.slice(2).map(({ source, damageType, category }) => [source, damageType, category]),
+      [
+        ["sneak-attack", "piercing", "precision"],
+        ["flaming", "fire", ""],
+      ],
+    );
+  });
+});